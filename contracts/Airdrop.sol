@@ -3,10 +3,18 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./interfaces/IWETH.sol";
+import "./HeldPledgeVault.sol";
+import "./libraries/PledgeBook.sol";
+import "./libraries/VoucherVerifier.sol";
 
 error Airdrop__NotInPledgePhase();
 error Airdrop__NotInDistributionPhase();
@@ -21,18 +29,49 @@ error Airdrop__EmergencyOnly();
 error Airdrop__InvalidTimestamp();
 error Airdrop__ContractPaused();
 error Airdrop__PhaseTransitionTooEarly();
-error Airdrop__IncompatibleDecimals();
 error Airdrop__MaxPledgeExceeded();
 error Airdrop__DustAmountTooLow();
 error Airdrop__MaxTotalPledgeExceeded();
+error Airdrop__MerkleRootNotSet();
+error Airdrop__InvalidProof();
+error Airdrop__InsufficientSurplus();
+error Airdrop__RoundNotCompleted();
+error Airdrop__InvalidRound();
+error Airdrop__NothingToRelease();
+error Airdrop__VoucherRequired();
+error Airdrop__InvalidVoucher();
+error Airdrop__VoucherExpired();
+error Airdrop__PermitFailed();
+error Airdrop__NoPendingChange();
+error Airdrop__ChangeNotReady();
+error Airdrop__UpkeepNotNeeded();
+error Airdrop__NativeNotSupported();
+error Airdrop__PledgingNotStarted();
+error Airdrop__DeadlineNotReached();
+error Airdrop__FeeOnTransferNotAllowed();
+error Airdrop__VestingLocked();
+error Airdrop__PayerNotApproved();
 
 /**
  * @title Airdrop
  * @dev Implements a secure two-phase airdrop system with pledge and distribution phases
  * Features include emergency withdrawal, pausability, and SafeERC20 implementation
+ * Access can be gated by EIP-712 vouchers issued by an off-chain KYC signer
+ * Admin paths are split across roles so that no single key holds every power:
+ * operators run distribution, compliance manages the blacklist and KYC signer,
+ * config admins tune parameters, guardians trigger emergency mode, and the
+ * default admin manages roles and treasury withdrawals
  */
-contract Airdrop is ReentrancyGuard, Ownable, Pausable {
+contract Airdrop is ReentrancyGuard, AccessControl, Pausable, EIP712 {
     using SafeERC20 for IERC20;
+    using PledgeBook for Round;
+
+    /* Roles */
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
 
     /* Types */
     enum AirdropPhase {
@@ -41,11 +80,86 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
         COMPLETED
     }
 
+    enum ConfigParam {
+        MAX_PLEDGE_PER_USER,
+        COOLDOWN_PERIOD,
+        MIN_PHASE_TRANSITION_TIME,
+        MIN_DUST_AMOUNT,
+        CONFIG_DELAY,
+        EARLY_BIRD_BONUS
+    }
+
+    enum ResidualDestination {
+        PROJECT,
+        LAST_PLEDGER
+    }
+
     struct UserPledge {
         uint256 tokenAAmount;
         uint256 tokenBAllocation;
         bool processed;
         uint256 timestamp;
+        uint256 tokenBReleased;
+        bool excluded; // blacklisted while pledging, left out of the ratio
+        uint256 heldUntil; // end of the review window for a held pledge
+        bool nativeRefund; // pledged in ETH, so refunds are unwrapped
+        uint256 weightedAmount; // tokenAAmount with early-bird bonuses applied
+    }
+
+    struct Deposit {
+        uint256 amount;
+        uint256 weightedAmount;
+        uint256 timestamp;
+        address referrer; // zero unless made through pledgeFor with a referrer
+    }
+
+    struct PledgerInfo {
+        address pledger;
+        uint256 tokenAAmount;
+        uint256 tokenBAllocation;
+        bool processed;
+        uint256 timestamp;
+        uint256 projectedTokenB;
+        uint256 projectedRefund;
+    }
+
+    struct PledgeVoucher {
+        address user;
+        uint256 maxPledge;
+        uint8 tier;
+        uint256 expiry;
+    }
+
+    struct Round {
+        uint256 pledgeStart;
+        uint256 pledgeDeadline;
+        uint256 tokenBMaxCap;
+        uint256 minPledgeAmount;
+        uint256 totalTokenAPledged;
+        uint256 totalWeightedPledged; // what the scaling ratio is based on
+        uint256 scalingRatio;
+        uint256 lastProcessedIndex;
+        uint256 processedCount;
+        uint256 emergencyRefundedCount; // unprocessed, refunded after finalize
+        bytes32 merkleRoot;
+        uint256 vestingStart;
+        uint256 vestingCliff;
+        uint256 vestingDuration;
+        uint256 tokenBDistributed;
+        uint256 tokenAReturned;
+        uint256 tokenBForfeited; // held or refunded after finalize
+        uint256 residualSwept;
+        address lastPaidPledger;
+        address[] pledgers;
+        mapping(address => UserPledge) userPledges;
+        mapping(address => uint256) pledgerIndex; // index in pledgers + 1
+        mapping(address => Deposit[]) deposits;
+        mapping(address => uint256) referredTokenA; // counted in the ratio
+    }
+
+    struct PendingConfigChange {
+        uint256 value;
+        uint256 effectiveTime; // 0 when nothing is queued
     }
 
     /* State Variables */
@@ -53,28 +167,43 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
     IERC20 private immutable i_tokenA;
     IERC20 private immutable i_tokenB;
     uint256 private immutable i_conversionRatio;
-    uint256 private immutable i_tokenBMaxCap;
-    uint256 private immutable i_minPledgeAmount;
     uint8 private immutable i_tokenADecimals;
     uint8 private immutable i_tokenBDecimals;
+    uint256 private immutable i_tokenAUnit; // 10 ** tokenA decimals
+    uint256 private immutable i_tokenBUnit; // 10 ** tokenB decimals
+    HeldPledgeVault private immutable i_heldPledgeVault;
 
     /* Storage variables */
-    uint256 private s_lastProcessedIndex;
-    uint256 private s_pledgeDeadline;
     uint256 private s_lastPhaseTransition;
     uint256 private s_maxPledgePerUser;
     uint256 private s_minDustAmount;
     AirdropPhase private s_currentPhase;
-    uint256 private s_totalTokenAPledged;
-    uint256 private s_scalingRatio;
-    address[] private s_pledgers;
-    mapping(address => UserPledge) private s_userPledges;
+    uint256 private s_unprocessedTokenA;
+    uint256 private s_unreleasedTokenB;
+    uint256 private s_unallocatedTokenB; // owed to pledges not yet processed
+    uint256 private s_vestingCliff;
+    uint256 private s_vestingDuration;
+    uint256 private s_currentRound;
+    mapping(uint256 => Round) private s_rounds;
 
     // Security variables
     bool private s_emergencyMode;
+    uint256 private s_emergencyStart;
+    uint256 private s_emergencyExitTime; // 0 while no exit is scheduled
     uint256 private s_cooldownPeriod;
     uint256 private s_minPhaseTransitionTime;
     mapping(address => bool) private s_blacklistedAddresses;
+    address private s_voucherSigner;
+    mapping(address => uint8) private s_userTiers;
+    uint256 private s_configDelay;
+    ResidualDestination private s_residualDestination;
+    address private s_residualRecipient;
+    mapping(ConfigParam => PendingConfigChange) private s_pendingConfigChanges;
+    bool private s_nativePledging; // TokenA is WETH and ETH pledges are open
+    bool private s_feeOnTransferAllowed; // credit pledges net of transfer fees
+    uint256 private s_earlyBirdBonus; // bonus for pledging at the window's start
+    // Payers each beneficiary lets pledge on their behalf
+    mapping(address => mapping(address => bool)) private s_pledgePayers;
 
     /* Constants */
     uint256 private constant BASIS_POINTS = 10000;
@@ -83,25 +212,84 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
     uint256 private constant MAX_INT = type(uint256).max;
     uint256 private constant DEFAULT_COOLDOWN = 1 hours;
     uint256 private constant DEFAULT_MIN_PHASE_TRANSITION = 24 hours;
-    uint256 private constant DEFAULT_MAX_PLEDGE = 1000000e18;
-    uint256 private constant DEFAULT_MIN_DUST = 1e15;
+    // Expressed in whole TokenA and scaled by its decimals at deployment
+    uint256 private constant DEFAULT_MAX_PLEDGE = 1000000;
+    uint256 private constant DEFAULT_MIN_DUST_DIVISOR = 1000;
     uint256 private constant MAX_TOTAL_PLEDGE_RATIO = 10;
+    uint256 private constant DEFAULT_CONFIG_DELAY = 1 days;
+    uint256 private constant MAX_CONFIG_DELAY = 30 days;
+    // Gas forwarded with an ETH refund, enough for a smart wallet's receive()
+    uint256 private constant NATIVE_REFUND_GAS = 30000;
+    // Longest a pledge window can be stretched to, from start to deadline
+    uint256 private constant MAX_PLEDGE_DURATION = 90 days;
+    uint256 private constant EMERGENCY_EXIT_DELAY = 3 days;
+    uint256 private constant MAX_EARLY_BIRD_BONUS = BASIS_POINTS;
+    uint256 private constant MAX_VESTING_CLIFF = 365 days;
+    uint256 private constant MAX_VESTING_DURATION = 4 * 365 days;
 
     /* Events */
     event PledgeSubmitted(
+        uint256 indexed roundId,
         address indexed user,
         uint256 tokenAAmount,
         uint256 timestamp
     );
-    event PhaseUpdated(AirdropPhase newPhase);
+    event PhaseUpdated(uint256 indexed roundId, AirdropPhase newPhase);
     event TokensDistributed(
+        uint256 indexed roundId,
         address indexed user,
         uint256 tokenBAmount,
         uint256 tokenAReturned
     );
-    event ScalingRatioSet(uint256 scalingRatio);
+    event BatchProcessed(
+        uint256 indexed roundId,
+        uint256 startIndex,
+        uint256 endIndex,
+        uint256 processedCount
+    );
+    event PledgeStartScheduled(uint256 indexed roundId, uint256 startTime);
+    event PledgeDeadlineExtended(
+        uint256 indexed roundId,
+        uint256 previousDeadline,
+        uint256 newDeadline
+    );
+    event PledgingClosedEarly(uint256 indexed roundId, uint256 closedAt);
+    event ScalingRatioSet(uint256 indexed roundId, uint256 scalingRatio);
+    event RoundStarted(
+        uint256 indexed roundId,
+        uint256 pledgeDeadline,
+        uint256 tokenBMaxCap,
+        uint256 minPledgeAmount
+    );
     event EmergencyModeActivated(address indexed activator);
+    event EmergencyExitScheduled(uint256 executeAfter);
+    event EmergencyModeDeactivated(address indexed deactivator);
     event AddressBlacklisted(address indexed account, bool status);
+    event PledgeExcluded(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 tokenAAmount
+    );
+    event PledgeReinstated(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 tokenAAmount
+    );
+    event PledgeHeld(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 tokenAAmount,
+        uint256 reviewDeadline
+    );
+    event ResidualDestinationUpdated(
+        ResidualDestination destination,
+        address indexed recipient
+    );
+    event ResidualSwept(
+        uint256 indexed roundId,
+        address indexed recipient,
+        uint256 tokenBAmount
+    );
     event EmergencyWithdrawal(
         address indexed token,
         address indexed recipient,
@@ -116,17 +304,63 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
         uint256 amount
     );
     event MinPhaseTransitionTimeUpdated(uint256 newTime);
+    event ConfigDelayUpdated(uint256 newDelay);
+    event EarlyBirdBonusUpdated(uint256 newBonus);
+    event ConfigChangeScheduled(
+        ConfigParam indexed param,
+        uint256 value,
+        uint256 effectiveTime
+    );
+    event ConfigChangeCancelled(ConfigParam indexed param);
+    event MerkleRootSet(uint256 indexed roundId, bytes32 merkleRoot);
+    event EmergencyRefund(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 tokenAAmount
+    );
+    event VestingScheduleSet(
+        uint256 indexed roundId,
+        uint256 cliff,
+        uint256 duration
+    );
+    event TokensReleased(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 tokenBAmount
+    );
+    event VoucherSignerUpdated(address indexed signer);
+    event VoucherRedeemed(
+        address indexed user,
+        uint8 tier,
+        uint256 maxPledge
+    );
+    event NativePledgingUpdated(bool enabled);
+    event FeeOnTransferPolicyUpdated(bool allowed);
+    event NativeRefundFailed(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 amount
+    );
+    event PledgeWithdrawn(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 tokenAAmount,
+        uint256 remainingAmount
+    );
+    event PledgePayerUpdated(
+        address indexed beneficiary,
+        address indexed payer,
+        bool approved
+    );
 
     // Modifiers
     modifier notBlacklisted() {
-        if (s_blacklistedAddresses[msg.sender])
-            revert Airdrop__InvalidAddress();
+        _requireNotBlacklisted(msg.sender);
         _;
     }
 
     modifier whenNotEmergency() {
-        if (s_emergencyMode) revert Airdrop__EmergencyOnly();
-        if (paused()) revert EnforcedPause();
+        _requireNotEmergency();
         _;
     }
     modifier checkPhaseTransitionTime() {
@@ -145,33 +379,117 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
         uint256 tokenBMaxCap,
         uint256 minPledgeAmount,
         uint256 pledgeDuration
-    ) Ownable(msg.sender) {
+    ) EIP712("Airdrop", "1") {
         if (tokenA == address(0) || tokenB == address(0))
             revert Airdrop__InvalidAddress();
         if (conversionRatio == 0 || conversionRatio > 1e18)
             revert Airdrop__InvalidAmount();
-        if (minPledgeAmount == 0) revert Airdrop__InvalidAmount();
-        if (pledgeDuration == 0) revert Airdrop__InvalidTimestamp();
+
+        // The deployer starts with every role and hands them out from there
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, msg.sender);
+        _grantRole(COMPLIANCE_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        _grantRole(KEEPER_ROLE, msg.sender);
 
         i_tokenA = IERC20(tokenA);
         i_tokenB = IERC20(tokenB);
 
-        // Check token decimals compatibility
+        // Conversion math normalizes amounts across the two decimal bases
         i_tokenADecimals = IERC20Metadata(tokenA).decimals();
         i_tokenBDecimals = IERC20Metadata(tokenB).decimals();
-        if (i_tokenADecimals != i_tokenBDecimals)
-            revert Airdrop__IncompatibleDecimals();
+        i_tokenAUnit = 10 ** i_tokenADecimals;
+        i_tokenBUnit = 10 ** i_tokenBDecimals;
 
         i_conversionRatio = conversionRatio;
-        i_tokenBMaxCap = tokenBMaxCap;
-        i_minPledgeAmount = minPledgeAmount;
-        s_pledgeDeadline = block.timestamp + pledgeDuration;
-        s_currentPhase = AirdropPhase.PLEDGE;
+        i_heldPledgeVault = new HeldPledgeVault(IERC20(tokenA));
         s_cooldownPeriod = DEFAULT_COOLDOWN;
         s_minPhaseTransitionTime = DEFAULT_MIN_PHASE_TRANSITION;
-        s_maxPledgePerUser = DEFAULT_MAX_PLEDGE;
-        s_minDustAmount = DEFAULT_MIN_DUST;
-        s_lastPhaseTransition = block.timestamp;
+        s_maxPledgePerUser = DEFAULT_MAX_PLEDGE * i_tokenAUnit;
+        s_minDustAmount = i_tokenAUnit / DEFAULT_MIN_DUST_DIVISOR;
+        s_configDelay = DEFAULT_CONFIG_DELAY;
+        s_residualRecipient = msg.sender;
+
+        _openRound(pledgeDuration, tokenBMaxCap, minPledgeAmount);
+    }
+
+    /**
+     * @dev Opens a new airdrop round once the previous one has completed
+     * @param pledgeDuration Length of the new pledge phase in seconds
+     * @param tokenBMaxCap Maximum TokenB distributed in the new round
+     * @param minPledgeAmount Minimum TokenA per pledge in the new round
+     */
+    function startNewRound(
+        uint256 pledgeDuration,
+        uint256 tokenBMaxCap,
+        uint256 minPledgeAmount
+    )
+        external
+        onlyRole(CONFIG_ADMIN_ROLE)
+        whenNotEmergency
+        checkPhaseTransitionTime
+    {
+        if (s_currentPhase != AirdropPhase.COMPLETED)
+            revert Airdrop__RoundNotCompleted();
+
+        _openRound(pledgeDuration, tokenBMaxCap, minPledgeAmount);
+    }
+
+    /**
+     * @dev Delays the start of pledging for a round nobody has pledged to yet.
+     * Pledges before `startTime` revert; the deadline is left unchanged.
+     * @param startTime Timestamp pledging opens at
+     */
+    function schedulePledgeStart(
+        uint256 startTime
+    ) external onlyRole(CONFIG_ADMIN_ROLE) whenNotEmergency {
+        Round storage round = _openPledgeWindow();
+        if (round.pledgers.length != 0) revert Airdrop__InvalidTimestamp();
+        if (startTime < block.timestamp || startTime >= round.pledgeDeadline)
+            revert Airdrop__InvalidTimestamp();
+
+        round.pledgeStart = startTime;
+        emit PledgeStartScheduled(s_currentRound, startTime);
+    }
+
+    /**
+     * @dev Pushes the deadline of the current round back. Only possible before
+     * it passes, and the window may not exceed MAX_PLEDGE_DURATION in total.
+     * @param newDeadline Timestamp after which pledging closes
+     */
+    function extendPledgeDeadline(
+        uint256 newDeadline
+    ) external onlyRole(CONFIG_ADMIN_ROLE) whenNotEmergency {
+        Round storage round = _openPledgeWindow();
+        uint256 previousDeadline = round.pledgeDeadline;
+        if (
+            newDeadline <= previousDeadline ||
+            newDeadline - round.pledgeStart > MAX_PLEDGE_DURATION
+        ) {
+            revert Airdrop__InvalidTimestamp();
+        }
+
+        round.pledgeDeadline = newDeadline;
+        emit PledgeDeadlineExtended(
+            s_currentRound,
+            previousDeadline,
+            newDeadline
+        );
+    }
+
+    /**
+     * @dev Ends pledging now. The round can be finalized from the next block,
+     * subject to the minimum phase transition time.
+     */
+    function closePledgingEarly()
+        external
+        onlyRole(CONFIG_ADMIN_ROLE)
+        whenNotEmergency
+    {
+        Round storage round = _openPledgeWindow();
+        round.pledgeDeadline = block.timestamp;
+        emit PledgingClosedEarly(s_currentRound, block.timestamp);
     }
 
     /**
@@ -181,56 +499,188 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
     function pledgeTokens(
         uint256 amount,
         uint256 minScalingRatio
-    ) external nonReentrant whenNotPaused whenNotEmergency notBlacklisted {
-        if (s_currentPhase != AirdropPhase.PLEDGE)
-            revert Airdrop__NotInPledgePhase();
-        if (block.timestamp > s_pledgeDeadline)
-            revert Airdrop__DeadlinePassed();
-        if (amount < i_minPledgeAmount) revert Airdrop__PledgeAmountTooLow();
-        if (amount > MAX_INT / i_conversionRatio)
-            revert Airdrop__PledgeAmountTooLarge();
+    ) external nonReentrant whenNotEmergency notBlacklisted {
+        _pledge(
+            msg.sender,
+            amount,
+            minScalingRatio,
+            _maxPledgeWithoutVoucher(),
+            address(0)
+        );
+    }
 
-        // Calculate potential total TokenB required
-        uint256 newTotalPledged = s_totalTokenAPledged + amount;
-        uint256 potentialTokenBRequired = (newTotalPledged *
-            i_conversionRatio) / BASIS_POINTS;
+    /**
+     * @dev Pledges TokenA paid by the caller on behalf of `beneficiary`, who
+     * owns the pledge: it counts towards their cap and cooldown, and they
+     * receive the TokenB and any refund. The beneficiary must have approved
+     * the caller with setPledgePayer, so nobody else can use up their cap or
+     * restart their cooldown. The pledge is credited to `referrer` for
+     * referral rewards, unless it is the zero address.
+     * @param beneficiary Address the pledge is made for
+     * @param amount Amount of TokenA to pledge
+     * @param referrer Address credited with the referral, or zero for none
+     */
+    function pledgeFor(
+        address beneficiary,
+        uint256 amount,
+        uint256 minScalingRatio,
+        address referrer
+    ) external nonReentrant whenNotEmergency notBlacklisted {
+        if (beneficiary == address(0) || referrer == beneficiary)
+            revert Airdrop__InvalidAddress();
+        if (
+            beneficiary != msg.sender &&
+            !s_pledgePayers[beneficiary][msg.sender]
+        ) revert Airdrop__PayerNotApproved();
+        _requireNotBlacklisted(beneficiary);
+
+        _pledge(
+            beneficiary,
+            amount,
+            minScalingRatio,
+            _maxPledgeWithoutVoucher(),
+            referrer
+        );
+    }
 
-        // Ensure we don't exceed maximum possible pledge
-        if (potentialTokenBRequired > i_tokenBMaxCap * MAX_TOTAL_PLEDGE_RATIO) {
-            revert Airdrop__MaxTotalPledgeExceeded();
-        }
+    /**
+     * @dev Lets `payer` pledge on the caller's behalf with pledgeFor, or
+     * revokes that permission
+     */
+    function setPledgePayer(address payer, bool approved) external {
+        if (payer == address(0)) revert Airdrop__InvalidAddress();
+        s_pledgePayers[msg.sender][payer] = approved;
+        emit PledgePayerUpdated(msg.sender, payer, approved);
+    }
+
+    /**
+     * @dev Pledges TokenA under the cap and tier granted by a signed voucher
+     * @param amount Amount of TokenA to pledge
+     * @param voucher Cap, tier and expiry issued to msg.sender
+     * @param signature EIP-712 signature of the voucher by the voucher signer
+     */
+    function pledgeTokensWithVoucher(
+        uint256 amount,
+        uint256 minScalingRatio,
+        PledgeVoucher calldata voucher,
+        bytes calldata signature
+    ) external nonReentrant whenNotEmergency notBlacklisted {
+        _verifyVoucher(voucher, signature);
+
+        s_userTiers[msg.sender] = voucher.tier;
+        emit VoucherRedeemed(msg.sender, voucher.tier, voucher.maxPledge);
+
+        _pledge(
+            msg.sender,
+            amount,
+            minScalingRatio,
+            voucher.maxPledge,
+            address(0)
+        );
+    }
 
-        /* Only check scaling ratio if it has been set (after first finalizePledgePhase) */
-        if (s_currentPhase == AirdropPhase.PLEDGE && s_scalingRatio != 0) {
-            if (s_scalingRatio < minScalingRatio)
-                revert Airdrop__ScalingRatioTooLow();
+    /**
+     * @dev Pledges TokenA using an EIP-2612 permit instead of a prior approve.
+     * A permit that fails (e.g. already submitted by a front-runner) is ignored;
+     * the pledge then goes through as long as the allowance is in place.
+     * @param amount Amount of TokenA to pledge
+     * @param deadline Permit deadline
+     */
+    function pledgeTokensWithPermit(
+        uint256 amount,
+        uint256 minScalingRatio,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotEmergency notBlacklisted {
+        uint256 maxPledge = _maxPledgeWithoutVoucher();
+
+        try
+            IERC20Permit(address(i_tokenA)).permit(
+                msg.sender,
+                address(this),
+                amount,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {
+            if (i_tokenA.allowance(msg.sender, address(this)) < amount)
+                revert Airdrop__PermitFailed();
         }
 
-        UserPledge storage userPledge = s_userPledges[msg.sender];
+        _pledge(msg.sender, amount, minScalingRatio, maxPledge, address(0));
+    }
 
-        // Check maximum pledge amount
-        if (userPledge.tokenAAmount + amount > s_maxPledgePerUser) {
-            revert Airdrop__MaxPledgeExceeded();
-        }
+    /**
+     * @dev Pledges ETH by wrapping msg.value into TokenA, which must be WETH.
+     * Excess TokenA from this pledge is refunded as ETH at distribution.
+     */
+    function pledgeETH(
+        uint256 minScalingRatio
+    )
+        external
+        payable
+        nonReentrant
+        whenNotEmergency
+        notBlacklisted
+    {
+        if (!s_nativePledging) revert Airdrop__NativeNotSupported();
+
+        _recordPledge(
+            msg.sender,
+            msg.value,
+            minScalingRatio,
+            _maxPledgeWithoutVoucher(),
+            address(0)
+        );
+        s_rounds[s_currentRound].userPledges[msg.sender].nativeRefund = true;
+        IWETH(address(i_tokenA)).deposit{value: msg.value}();
+    }
 
-        // Check cooldown period
-        if (
-            userPledge.timestamp != 0 &&
-            block.timestamp - userPledge.timestamp < s_cooldownPeriod
-        ) {
-            revert Airdrop__InvalidTimestamp();
-        }
+    /**
+     * @dev Only accepts ETH unwrapped from TokenA for native refunds
+     */
+    receive() external payable {
+        if (msg.sender != address(i_tokenA)) revert Airdrop__InvalidAddress();
+    }
 
-        if (userPledge.tokenAAmount == 0) {
-            s_pledgers.push(msg.sender);
-        }
+    /**
+     * @dev Allows users to take back part or all of their pledge before the deadline
+     * @param amount Amount of TokenA to withdraw
+     */
+    function withdrawPledge(
+        uint256 amount
+    ) external nonReentrant whenNotEmergency notBlacklisted {
+        Round storage round = _openPledgeWindow();
+
+        UserPledge storage userPledge = round.userPledges[msg.sender];
+        if (amount == 0 || amount > userPledge.tokenAAmount)
+            revert Airdrop__InvalidAmount();
 
-        userPledge.tokenAAmount += amount;
-        userPledge.timestamp = block.timestamp;
-        s_totalTokenAPledged += amount;
+        uint256 remainingAmount = userPledge.tokenAAmount - amount;
+        if (remainingAmount != 0 && remainingAmount < round.minPledgeAmount)
+            revert Airdrop__PledgeAmountTooLow();
 
-        i_tokenA.safeTransferFrom(msg.sender, address(this), amount);
-        emit PledgeSubmitted(msg.sender, amount, block.timestamp);
+        uint256 weightedAmount = round.withdrawDeposits(msg.sender, amount);
+        userPledge.tokenAAmount = remainingAmount;
+        userPledge.weightedAmount -= weightedAmount;
+        s_unprocessedTokenA -= amount;
+
+        // Drop fully withdrawn pledgers so processPledgeBatch never walks them
+        if (remainingAmount == 0) {
+            round.removePledger(msg.sender);
+        }
+
+        i_tokenA.safeTransfer(msg.sender, amount);
+        emit PledgeWithdrawn(
+            s_currentRound,
+            msg.sender,
+            amount,
+            remainingAmount
+        );
     }
 
     /**
@@ -238,30 +688,16 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
      */
     function finalizePledgePhase()
         external
-        onlyOwner
-        whenNotPaused
+        onlyRole(OPERATOR_ROLE)
         whenNotEmergency
         checkPhaseTransitionTime
     {
         if (s_currentPhase != AirdropPhase.PLEDGE)
             revert Airdrop__NotInPledgePhase();
+        if (block.timestamp <= s_rounds[s_currentRound].pledgeDeadline)
+            revert Airdrop__DeadlineNotReached();
 
-        uint256 totalTokenBRequired = (s_totalTokenAPledged *
-            i_conversionRatio) / BASIS_POINTS;
-
-        if (totalTokenBRequired > i_tokenBMaxCap) {
-            s_scalingRatio =
-                (i_tokenBMaxCap * BASIS_POINTS) /
-                totalTokenBRequired;
-        } else {
-            s_scalingRatio = BASIS_POINTS; 
-        }
-
-        s_currentPhase = AirdropPhase.DISTRIBUTION;
-        s_lastPhaseTransition = block.timestamp;
-
-        emit PhaseUpdated(AirdropPhase.DISTRIBUTION);
-        emit ScalingRatioSet(s_scalingRatio);
+        _finalizePledgePhase();
     }
 
     /**
@@ -270,44 +706,127 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
      */
     function processPledgeBatch(
         uint256 batchSize
-    ) external onlyOwner nonReentrant whenNotPaused whenNotEmergency {
+    )
+        external
+        onlyRole(OPERATOR_ROLE)
+        nonReentrant
+        whenNotEmergency
+    {
         if (s_currentPhase != AirdropPhase.DISTRIBUTION)
             revert Airdrop__NotInDistributionPhase();
 
-        uint256 endIndex = s_lastProcessedIndex + batchSize;
-        if (endIndex > s_pledgers.length) {
-            endIndex = s_pledgers.length;
+        _processPledgeBatch(batchSize);
+    }
+
+    /**
+     * @dev Chainlink Automation-style check. Upkeep is needed once the pledge
+     * deadline and the minimum phase transition time have both passed, and
+     * then on every call until the distribution completes.
+     * performData is unused as performUpkeep re-reads the state itself
+     */
+    function checkUpkeep(
+        bytes calldata /* checkData */
+    ) external view returns (bool upkeepNeeded, bytes memory performData) {
+        upkeepNeeded = _upkeepNeeded();
+        performData = "";
+    }
+
+    /**
+     * @dev Finalizes the pledge phase or processes the next BATCH_SIZE
+     * pledges, whichever is due. Restricted to KEEPER_ROLE, so only the
+     * registered keeper (e.g. the Automation forwarder) decides when a batch
+     * runs; operators keep finalizePledgePhase and processPledgeBatch.
+     */
+    function performUpkeep(
+        bytes calldata /* performData */
+    ) external onlyRole(KEEPER_ROLE) nonReentrant whenNotEmergency {
+        if (!_upkeepNeeded()) revert Airdrop__UpkeepNotNeeded();
+
+        if (s_currentPhase == AirdropPhase.PLEDGE) {
+            _finalizePledgePhase();
+        } else {
+            _processPledgeBatch(BATCH_SIZE);
         }
+    }
 
-        uint256 gasThreshold = (block.gaslimit * 10) / 100;
+    /**
+     * @dev Commits the Merkle root of final allocations, enabling pull-based claims
+     * @param merkleRoot Root over (user, tokenBAmount, tokenAToReturn) leaves
+     */
+    function setMerkleRoot(
+        bytes32 merkleRoot
+    ) external onlyRole(OPERATOR_ROLE) {
+        if (s_currentPhase != AirdropPhase.DISTRIBUTION)
+            revert Airdrop__NotInDistributionPhase();
+        if (merkleRoot == bytes32(0)) revert Airdrop__InvalidAmount();
 
-        for (
-            uint256 i = s_lastProcessedIndex;
-            i < endIndex && gasleft() > gasThreshold;
+        s_rounds[s_currentRound].merkleRoot = merkleRoot;
+        emit MerkleRootSet(s_currentRound, merkleRoot);
+    }
 
-        ) {
-            address pledger = s_pledgers[i];
-            UserPledge storage pledge = s_userPledges[pledger];
-
-            if (
-                !pledge.processed &&
-                pledge.tokenAAmount > 0 &&
-                !s_blacklistedAddresses[pledger]
-            ) {
-                _processPledge(pledger, pledge);
-            }
+    /**
+     * @dev Lets a pledger pull their own allocation once a Merkle root is set.
+     * The leaf is rebuilt from the amounts _processPledge would pay, so a proof
+     * only verifies if the committed allocation matches the on-chain math.
+     * @param proof Merkle proof for the caller's allocation leaf
+     */
+    function claim(
+        bytes32[] calldata proof
+    ) external nonReentrant whenNotEmergency notBlacklisted {
+        if (s_currentPhase != AirdropPhase.DISTRIBUTION)
+            revert Airdrop__NotInDistributionPhase();
+        Round storage round = s_rounds[s_currentRound];
+        if (round.merkleRoot == bytes32(0)) revert Airdrop__MerkleRootNotSet();
+
+        UserPledge storage pledge = round.userPledges[msg.sender];
+        if (pledge.processed) revert Airdrop__AlreadyProcessed();
+        if (pledge.tokenAAmount == 0) revert Airdrop__InvalidAmount();
+        if (pledge.excluded) revert Airdrop__InvalidAddress();
+
+        (
+            uint256 scaledTokenBAmount,
+            uint256 tokenAToReturn
+        ) = _projectAllocation(pledge, round.scalingRatio);
+        bytes32 leaf = keccak256(
+            bytes.concat(
+                keccak256(
+                    abi.encode(msg.sender, scaledTokenBAmount, tokenAToReturn)
+                )
+            )
+        );
+        if (!MerkleProof.verifyCalldata(proof, round.merkleRoot, leaf))
+            revert Airdrop__InvalidProof();
 
-            unchecked {
-                ++i;
-            }
+        _processPledge(round, msg.sender, pledge);
+
+        if (round.processedCount == round.pledgers.length) {
+            _completeDistribution();
         }
+    }
 
-        s_lastProcessedIndex = endIndex;
+    /**
+     * @dev Releases the caller's vested TokenB from the current round
+     */
+    function release() external {
+        release(s_currentRound);
+    }
 
-        if (s_lastProcessedIndex == s_pledgers.length) {
-            s_currentPhase = AirdropPhase.COMPLETED;
-            emit PhaseUpdated(AirdropPhase.COMPLETED);
-        }
+    /**
+     * @dev Releases the caller's vested TokenB from a given round
+     * @param roundId Round the allocation was made in
+     */
+    function release(uint256 roundId) public nonReentrant whenNotPaused {
+        Round storage round = _getRound(roundId);
+        UserPledge storage pledge = round.userPledges[msg.sender];
+        uint256 releasable = _vestedAmount(round, pledge) -
+            pledge.tokenBReleased;
+        if (releasable == 0) revert Airdrop__NothingToRelease();
+
+        pledge.tokenBReleased += releasable;
+        s_unreleasedTokenB -= releasable;
+
+        i_tokenB.safeTransfer(msg.sender, releasable);
+        emit TokensReleased(roundId, msg.sender, releasable);
     }
 
     /* Security Functions */
@@ -315,24 +834,116 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
     /**
      * @dev Activates emergency mode to halt all non-emergency operations
      */
-    function activateEmergencyMode() external onlyOwner {
+    function activateEmergencyMode() external onlyRole(GUARDIAN_ROLE) {
         if (!s_emergencyMode) {
             s_emergencyMode = true;
-            _pause();
+            s_emergencyStart = block.timestamp;
+            if (!paused()) _pause();
             emit EmergencyModeActivated(msg.sender);
         }
     }
 
     /**
-     * @dev Emergency withdrawal of tokens in case of critical issues
+     * @dev Temporarily halts pledging, finalization and batch processing
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Lifts a pause. Emergency mode can only be left via exitEmergencyMode.
+     */
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        if (s_emergencyMode) revert Airdrop__EmergencyOnly();
+        _unpause();
+    }
+
+    /**
+     * @dev Starts the mandatory delay before emergency mode can be left.
+     * Scheduling again restarts the delay.
+     */
+    function scheduleEmergencyExit() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (!s_emergencyMode) revert Airdrop__EmergencyOnly();
+
+        s_emergencyExitTime = block.timestamp + EMERGENCY_EXIT_DELAY;
+        emit EmergencyExitScheduled(s_emergencyExitTime);
+    }
+
+    /**
+     * @dev Leaves emergency mode and resumes the phase where it stopped.
+     * A pledge deadline is pushed back by the time spent in emergency mode.
+     */
+    function exitEmergencyMode() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (!s_emergencyMode) revert Airdrop__EmergencyOnly();
+        if (s_emergencyExitTime == 0) revert Airdrop__NoPendingChange();
+        if (block.timestamp < s_emergencyExitTime)
+            revert Airdrop__ChangeNotReady();
+
+        if (s_currentPhase == AirdropPhase.PLEDGE) {
+            Round storage round = s_rounds[s_currentRound];
+            uint256 previousDeadline = round.pledgeDeadline;
+            round.pledgeDeadline += block.timestamp - s_emergencyStart;
+            emit PledgeDeadlineExtended(
+                s_currentRound,
+                previousDeadline,
+                round.pledgeDeadline
+            );
+        }
+
+        s_emergencyMode = false;
+        s_emergencyExitTime = 0;
+        _unpause();
+        emit EmergencyModeDeactivated(msg.sender);
+    }
+
+    /**
+     * @dev Lets a pledger reclaim their unprocessed TokenA once emergency mode is active
+     */
+    function emergencyRefund() external nonReentrant notBlacklisted {
+        if (!s_emergencyMode) revert Airdrop__EmergencyOnly();
+
+        Round storage round = s_rounds[s_currentRound];
+        UserPledge storage pledge = round.userPledges[msg.sender];
+        if (pledge.processed) revert Airdrop__AlreadyProcessed();
+        uint256 refundAmount = pledge.tokenAAmount;
+        if (refundAmount == 0) revert Airdrop__InvalidAmount();
+
+        uint256 weightedAmount = pledge.weightedAmount;
+        pledge.tokenAAmount = 0;
+        pledge.weightedAmount = 0;
+        s_unprocessedTokenA -= refundAmount;
+
+        // The scaling ratio is not fixed yet, so the pledge leaves the campaign entirely
+        if (s_currentPhase == AirdropPhase.PLEDGE) {
+            round.withdrawDeposits(msg.sender, refundAmount);
+            round.removePledger(msg.sender);
+        } else {
+            round.emergencyRefundedCount++;
+            if (!pledge.excluded) {
+                uint256 forfeited = calculateScaledTokenBAmount(weightedAmount);
+                s_unallocatedTokenB -= forfeited;
+                round.tokenBForfeited += forfeited;
+                round.creditReferrers(msg.sender, false);
+            }
+        }
+
+        i_tokenA.safeTransfer(msg.sender, refundAmount);
+        emit EmergencyRefund(s_currentRound, msg.sender, refundAmount);
+    }
+
+    /**
+     * @dev Emergency withdrawal of tokens in case of critical issues.
+     * TokenA owed to unprocessed pledgers stays reserved for them, and
+     * unreleased vesting TokenB stays reserved for its beneficiaries.
      */
     function emergencyWithdraw(
         address token,
         address recipient,
         uint256 amount
-    ) external onlyOwner {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
         if (!s_emergencyMode) revert Airdrop__EmergencyOnly();
         if (recipient == address(0)) revert Airdrop__InvalidAddress();
+        _checkSurplus(token, amount);
 
         IERC20(token).safeTransfer(recipient, amount);
         emit EmergencyWithdrawal(token, recipient, amount);
@@ -345,113 +956,787 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
         address token,
         address recipient,
         uint256 amount
-    ) external onlyOwner {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
         if (s_currentPhase != AirdropPhase.COMPLETED)
             revert Airdrop__NotInDistributionPhase();
         if (recipient == address(0)) revert Airdrop__InvalidAddress();
         if (amount < s_minDustAmount) revert Airdrop__DustAmountTooLow();
+        _checkSurplus(token, amount);
 
         IERC20(token).safeTransfer(recipient, amount);
         emit StuckTokensRecovered(token, recipient, amount);
     }
 
     /**
-     * @dev Blacklist addresses that show suspicious behavior
+     * @dev Blacklist addresses that show suspicious behavior.
+     * While pledging, a blacklisted pledge is taken out of the total so it
+     * does not dilute the scaling ratio, and put back if the status is lifted
+     * before finalization. Once distribution starts, batches hold the pledge
+     * of a pledger who is still blacklisted for review instead of paying it
+     * out. An excluded pledge cleared after finalization stays out of the
+     * ratio, so it is refunded in full rather than held.
      */
     function setBlacklistStatus(
         address account,
         bool status
-    ) external onlyOwner {
+    ) external onlyRole(COMPLIANCE_ROLE) {
         s_blacklistedAddresses[account] = status;
         emit AddressBlacklisted(account, status);
+
+        if (s_currentPhase != AirdropPhase.PLEDGE) return;
+
+        Round storage round = s_rounds[s_currentRound];
+        UserPledge storage pledge = round.userPledges[account];
+        if (pledge.tokenAAmount == 0 || pledge.excluded == status) return;
+
+        round.setExcluded(account, status);
+        if (status) {
+            emit PledgeExcluded(s_currentRound, account, pledge.tokenAAmount);
+        } else {
+            emit PledgeReinstated(s_currentRound, account, pledge.tokenAAmount);
+        }
     }
 
     /**
-     * @dev Set maximum pledge amount per user
+     * @dev Choose where the TokenB rounding residual goes once a round completes
+     * @param destination PROJECT sends it to `recipient`, LAST_PLEDGER to the
+     * last pledger paid in the round (falling back to `recipient`)
+     * @param recipient Project address receiving the residual
      */
-    function setMaxPledgePerUser(uint256 newAmount) external onlyOwner {
-        if (newAmount == 0) revert Airdrop__InvalidAmount();
-        s_maxPledgePerUser = newAmount;
-        emit MaxPledgePerUserUpdated(newAmount);
+    function setResidualDestination(
+        ResidualDestination destination,
+        address recipient
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        if (recipient == address(0)) revert Airdrop__InvalidAddress();
+        s_residualDestination = destination;
+        s_residualRecipient = recipient;
+        emit ResidualDestinationUpdated(destination, recipient);
     }
 
     /**
-     * @dev Set minimum dust amount for token recovery
+     * @dev Configure TokenB vesting for the current round. Must be set before
+     * anyone pledges, so pledgers always know the terms they pledged under;
+     * a zero cliff and duration pays TokenB out immediately.
+     * @param cliff Seconds after distribution starts before anything vests,
+     * at most MAX_VESTING_CLIFF
+     * @param duration Seconds over which TokenB vests linearly after the
+     * cliff, at most MAX_VESTING_DURATION
      */
-    function setMinDustAmount(uint256 newAmount) external onlyOwner {
-        s_minDustAmount = newAmount;
-        emit MinDustAmountUpdated(newAmount);
+    function setVestingSchedule(
+        uint256 cliff,
+        uint256 duration
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        if (s_currentPhase != AirdropPhase.PLEDGE)
+            revert Airdrop__NotInPledgePhase();
+        if (s_rounds[s_currentRound].pledgers.length != 0)
+            revert Airdrop__VestingLocked();
+        if (cliff > MAX_VESTING_CLIFF || duration > MAX_VESTING_DURATION)
+            revert Airdrop__InvalidAmount();
+        s_vestingCliff = cliff;
+        s_vestingDuration = duration;
+        emit VestingScheduleSet(s_currentRound, cliff, duration);
     }
 
     /**
-     * @dev Set minimum time between phase transitions
+     * @dev Set the off-chain KYC signer. While set, pledges require a voucher.
+     * @param signer Voucher signer, or the zero address to disable the allowlist
      */
-    function setMinPhaseTransitionTime(uint256 newTime) external onlyOwner {
-        s_minPhaseTransitionTime = newTime;
-        emit MinPhaseTransitionTimeUpdated(newTime);
+    function setVoucherSigner(
+        address signer
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        s_voucherSigner = signer;
+        emit VoucherSignerUpdated(signer);
     }
 
     /**
-     * @dev Update cooldown period between pledges
+     * @dev Open or close ETH pledging. Only enable when TokenA is WETH.
      */
-    function setCooldownPeriod(uint256 newPeriod) external onlyOwner {
-        s_cooldownPeriod = newPeriod;
-        emit CooldownPeriodUpdated(newPeriod);
+    function setNativePledging(
+        bool enabled
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        s_nativePledging = enabled;
+        emit NativePledgingUpdated(enabled);
     }
 
-    /* Internal Functions */
+    /**
+     * @dev Opt in to a TokenA that takes a fee on transfer. Pledges are then
+     * credited with the amount actually received; otherwise any shortfall
+     * makes the pledge revert.
+     */
+    function setFeeOnTransferAllowed(
+        bool allowed
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        s_feeOnTransferAllowed = allowed;
+        emit FeeOnTransferPolicyUpdated(allowed);
+    }
 
-    function _processPledge(
-        address pledger,
-        UserPledge storage pledge
-    ) internal {
-        uint256 scaledTokenBAmount = calculateScaledTokenBAmount(
-            pledge.tokenAAmount
+    /**
+     * @dev Schedule a new maximum pledge amount per user
+     * Takes effect through executeConfigChange once the config delay passes
+     */
+    function setMaxPledgePerUser(
+        uint256 newAmount
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        if (newAmount == 0) revert Airdrop__InvalidAmount();
+        _scheduleConfigChange(ConfigParam.MAX_PLEDGE_PER_USER, newAmount);
+    }
+
+    /**
+     * @dev Schedule a new minimum dust amount for token recovery
+     */
+    function setMinDustAmount(
+        uint256 newAmount
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        _scheduleConfigChange(ConfigParam.MIN_DUST_AMOUNT, newAmount);
+    }
+
+    /**
+     * @dev Schedule a new minimum time between phase transitions
+     */
+    function setMinPhaseTransitionTime(
+        uint256 newTime
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        _scheduleConfigChange(ConfigParam.MIN_PHASE_TRANSITION_TIME, newTime);
+    }
+
+    /**
+     * @dev Schedule a new cooldown period between pledges
+     */
+    function setCooldownPeriod(
+        uint256 newPeriod
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        _scheduleConfigChange(ConfigParam.COOLDOWN_PERIOD, newPeriod);
+    }
+
+    /**
+     * @dev Schedule a new delay for config changes
+     * The delay itself is timelocked so it cannot be dropped to skip the queue
+     */
+    function setConfigDelay(
+        uint256 newDelay
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        if (newDelay > MAX_CONFIG_DELAY) revert Airdrop__InvalidAmount();
+        _scheduleConfigChange(ConfigParam.CONFIG_DELAY, newDelay);
+    }
+
+    /**
+     * @dev Schedule a new early-bird bonus, in basis points on top of a
+     * pledge's weight. The bonus decays linearly from the full amount at the
+     * start of the pledge window to zero at its deadline, and is fixed for
+     * each deposit when it is made.
+     */
+    function setEarlyBirdBonus(
+        uint256 newBonus
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        if (newBonus > MAX_EARLY_BIRD_BONUS) revert Airdrop__InvalidAmount();
+        _scheduleConfigChange(ConfigParam.EARLY_BIRD_BONUS, newBonus);
+    }
+
+    /**
+     * @dev Apply a queued config change once its effective time has passed
+     */
+    function executeConfigChange(
+        ConfigParam param
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        PendingConfigChange memory change = s_pendingConfigChanges[param];
+        if (change.effectiveTime == 0) revert Airdrop__NoPendingChange();
+        if (block.timestamp < change.effectiveTime)
+            revert Airdrop__ChangeNotReady();
+
+        delete s_pendingConfigChanges[param];
+
+        if (param == ConfigParam.MAX_PLEDGE_PER_USER) {
+            s_maxPledgePerUser = change.value;
+            emit MaxPledgePerUserUpdated(change.value);
+        } else if (param == ConfigParam.COOLDOWN_PERIOD) {
+            s_cooldownPeriod = change.value;
+            emit CooldownPeriodUpdated(change.value);
+        } else if (param == ConfigParam.MIN_PHASE_TRANSITION_TIME) {
+            s_minPhaseTransitionTime = change.value;
+            emit MinPhaseTransitionTimeUpdated(change.value);
+        } else if (param == ConfigParam.MIN_DUST_AMOUNT) {
+            s_minDustAmount = change.value;
+            emit MinDustAmountUpdated(change.value);
+        } else if (param == ConfigParam.CONFIG_DELAY) {
+            s_configDelay = change.value;
+            emit ConfigDelayUpdated(change.value);
+        } else {
+            s_earlyBirdBonus = change.value;
+            emit EarlyBirdBonusUpdated(change.value);
+        }
+    }
+
+    /**
+     * @dev Drop a queued config change before it is executed
+     */
+    function cancelConfigChange(
+        ConfigParam param
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        if (s_pendingConfigChanges[param].effectiveTime == 0)
+            revert Airdrop__NoPendingChange();
+        delete s_pendingConfigChanges[param];
+        emit ConfigChangeCancelled(param);
+    }
+
+    /* Internal Functions */
+
+    function _finalizePledgePhase() internal {
+        Round storage round = s_rounds[s_currentRound];
+        round.scalingRatio = _impliedScalingRatio(round);
+
+        // Upper bound of what processing will pay, as each pledge rounds down
+        s_unallocatedTokenB = calculateScaledTokenBAmount(
+            round.totalWeightedPledged
+        );
+
+        // Vesting runs from the start of distribution on the schedule set at this point
+        round.vestingStart = block.timestamp;
+        round.vestingCliff = s_vestingCliff;
+        round.vestingDuration = s_vestingDuration;
+
+        s_currentPhase = AirdropPhase.DISTRIBUTION;
+        s_lastPhaseTransition = block.timestamp;
+
+        emit PhaseUpdated(s_currentRound, AirdropPhase.DISTRIBUTION);
+        emit ScalingRatioSet(s_currentRound, round.scalingRatio);
+    }
+
+    function _processPledgeBatch(uint256 batchSize) internal {
+        Round storage round = s_rounds[s_currentRound];
+        uint256 startIndex = round.lastProcessedIndex;
+        uint256 endIndex = startIndex + batchSize;
+        if (endIndex > round.pledgers.length) {
+            endIndex = round.pledgers.length;
+        }
+
+        uint256 gasThreshold = (block.gaslimit * 10) / 100;
+        uint256 processed;
+        uint256 i = startIndex;
+
+        for (; i < endIndex && gasleft() > gasThreshold; ) {
+            address pledger = round.pledgers[i];
+            UserPledge storage pledge = round.userPledges[pledger];
+
+            if (!pledge.processed && pledge.tokenAAmount > 0) {
+                // An excluded pledge whose pledger has since been cleared is
+                // processed with the full refund it projects
+                if (s_blacklistedAddresses[pledger]) {
+                    _holdPledge(round, pledger, pledge);
+                } else {
+                    _processPledge(round, pledger, pledge);
+                }
+                ++processed;
+            }
+
+            unchecked {
+                ++i;
+            }
+        }
+
+        // The gas guard can stop the loop early, so only advance the cursor
+        // to the index actually reached and leave the rest for the next batch
+        round.lastProcessedIndex = i;
+        emit BatchProcessed(s_currentRound, startIndex, i, processed);
+
+        if (round.lastProcessedIndex == round.pledgers.length) {
+            _completeDistribution();
+        }
+    }
+
+    /**
+     * @dev Scaling ratio a round would get if finalized with `totalTokenBRequired`
+     */
+    function _scalingRatioFor(
+        uint256 totalTokenBRequired,
+        uint256 tokenBMaxCap
+    ) internal pure returns (uint256) {
+        if (totalTokenBRequired > tokenBMaxCap) {
+            return (tokenBMaxCap * BASIS_POINTS) / totalTokenBRequired;
+        }
+        return BASIS_POINTS;
+    }
+
+    function _impliedScalingRatio(
+        Round storage round
+    ) internal view returns (uint256) {
+        return
+            _scalingRatioFor(
+                calculateTokenBAmount(round.totalWeightedPledged),
+                round.tokenBMaxCap
+            );
+    }
+
+    function _scaledTokenBAmount(
+        uint256 tokenAAmount,
+        uint256 scalingRatio
+    ) internal view returns (uint256) {
+        return
+            Math.mulDiv(
+                calculateTokenBAmount(tokenAAmount),
+                scalingRatio,
+                BASIS_POINTS
+            );
+    }
+
+    function _tokenAToReturn(
+        uint256 tokenAAmount,
+        uint256 scaledTokenBAmount,
+        uint256 scalingRatio
+    ) internal view returns (uint256) {
+        if (scalingRatio >= BASIS_POINTS) return 0;
+        uint256 tokenAUsed = Math.mulDiv(
+            scaledTokenBAmount,
+            BASIS_POINTS * i_tokenAUnit,
+            i_conversionRatio * i_tokenBUnit,
+            Math.Rounding.Ceil
         );
-        uint256 tokenAToReturn = calculateTokenAToReturn(
+        if (tokenAUsed >= tokenAAmount) return 0;
+        return tokenAAmount - tokenAUsed;
+    }
+
+    /**
+     * @dev TokenB is allocated on the bonus-weighted amount, while the TokenA
+     * consumed, and so the refund, follows the amount actually pledged.
+     * Excluded and held pledges receive no TokenB and get all TokenA back.
+     */
+    function _projectAllocation(
+        UserPledge storage pledge,
+        uint256 scalingRatio
+    ) internal view returns (uint256 tokenBAmount, uint256 tokenARefund) {
+        if (pledge.excluded || pledge.heldUntil != 0)
+            return (0, pledge.tokenAAmount);
+        tokenBAmount = _scaledTokenBAmount(pledge.weightedAmount, scalingRatio);
+        tokenARefund = _tokenAToReturn(
             pledge.tokenAAmount,
-            scaledTokenBAmount
+            _scaledTokenBAmount(pledge.tokenAAmount, scalingRatio),
+            scalingRatio
         );
+    }
+
+    /**
+     * @dev Weight, in basis points, of a pledge made now: the full early-bird
+     * bonus at the start of the window, decaying linearly to none at the deadline
+     */
+    function _earlyBirdWeight(
+        Round storage round
+    ) internal view returns (uint256) {
+        if (s_earlyBirdBonus == 0 || block.timestamp >= round.pledgeDeadline)
+            return BASIS_POINTS;
+        return
+            BASIS_POINTS +
+            (s_earlyBirdBonus * (round.pledgeDeadline - block.timestamp)) /
+            (round.pledgeDeadline - round.pledgeStart);
+    }
+
+    function _upkeepNeeded() internal view returns (bool) {
+        if (s_emergencyMode || paused()) return false;
+
+        if (s_currentPhase == AirdropPhase.PLEDGE) {
+            return
+                block.timestamp > s_rounds[s_currentRound].pledgeDeadline &&
+                block.timestamp >=
+                s_lastPhaseTransition + s_minPhaseTransitionTime;
+        }
+        return s_currentPhase == AirdropPhase.DISTRIBUTION;
+    }
+
+    /**
+     * @dev Queues a change, replacing any change already pending for the
+     * same parameter and restarting its delay
+     */
+    function _scheduleConfigChange(ConfigParam param, uint256 value) internal {
+        uint256 effectiveTime = block.timestamp + s_configDelay;
+        s_pendingConfigChanges[param] = PendingConfigChange(
+            value,
+            effectiveTime
+        );
+        emit ConfigChangeScheduled(param, value, effectiveTime);
+    }
+
+    /**
+     * @dev Current round, checked to be in a pledge phase whose deadline
+     * has not passed
+     */
+    function _openPledgeWindow() internal view returns (Round storage round) {
+        round = s_rounds[s_currentRound];
+        if (s_currentPhase != AirdropPhase.PLEDGE)
+            revert Airdrop__NotInPledgePhase();
+        if (block.timestamp > round.pledgeDeadline)
+            revert Airdrop__DeadlinePassed();
+    }
+
+    function _openRound(
+        uint256 pledgeDuration,
+        uint256 tokenBMaxCap,
+        uint256 minPledgeAmount
+    ) internal {
+        if (minPledgeAmount == 0) revert Airdrop__InvalidAmount();
+        if (pledgeDuration == 0) revert Airdrop__InvalidTimestamp();
+
+        uint256 roundId = ++s_currentRound;
+        Round storage round = s_rounds[roundId];
+        round.pledgeStart = block.timestamp;
+        round.pledgeDeadline = block.timestamp + pledgeDuration;
+        round.tokenBMaxCap = tokenBMaxCap;
+        round.minPledgeAmount = minPledgeAmount;
+
+        s_currentPhase = AirdropPhase.PLEDGE;
+        s_lastPhaseTransition = block.timestamp;
+
+        emit RoundStarted(
+            roundId,
+            round.pledgeDeadline,
+            tokenBMaxCap,
+            minPledgeAmount
+        );
+        emit PhaseUpdated(roundId, AirdropPhase.PLEDGE);
+    }
+
+    function _requireNotBlacklisted(address account) internal view {
+        if (s_blacklistedAddresses[account]) revert Airdrop__InvalidAddress();
+    }
+
+    // Emergency mode always pauses, so a halted contract reports EnforcedPause
+    function _requireNotEmergency() internal view {
+        _requireNotPaused();
+        if (s_emergencyMode) revert Airdrop__EmergencyOnly();
+    }
+
+    /**
+     * @dev Per-user cap for pledges made without a voucher, which are only
+     * accepted while no voucher signer is set
+     */
+    function _maxPledgeWithoutVoucher() internal view returns (uint256) {
+        if (s_voucherSigner != address(0)) revert Airdrop__VoucherRequired();
+        return s_maxPledgePerUser;
+    }
+
+    function _pledge(
+        address beneficiary,
+        uint256 amount,
+        uint256 minScalingRatio,
+        uint256 maxPledge,
+        address referrer
+    ) internal {
+        // Credit what actually arrived, which is less for fee-on-transfer tokens
+        uint256 balanceBefore = i_tokenA.balanceOf(address(this));
+        i_tokenA.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = i_tokenA.balanceOf(address(this)) - balanceBefore;
+        if (received != amount && !s_feeOnTransferAllowed)
+            revert Airdrop__FeeOnTransferNotAllowed();
+
+        _recordPledge(
+            beneficiary,
+            received,
+            minScalingRatio,
+            maxPledge,
+            referrer
+        );
+    }
+
+    /**
+     * @dev Validates and books a pledge for `beneficiary`. The caller is
+     * responsible for bringing the TokenA into the contract.
+     */
+    function _recordPledge(
+        address beneficiary,
+        uint256 amount,
+        uint256 minScalingRatio,
+        uint256 maxPledge,
+        address referrer
+    ) internal {
+        Round storage round = _openPledgeWindow();
+        if (block.timestamp < round.pledgeStart)
+            revert Airdrop__PledgingNotStarted();
+        if (amount < round.minPledgeAmount)
+            revert Airdrop__PledgeAmountTooLow();
+
+        uint256 weightedAmount = Math.mulDiv(
+            amount,
+            _earlyBirdWeight(round),
+            BASIS_POINTS
+        );
+        if (weightedAmount > MAX_INT / i_conversionRatio)
+            revert Airdrop__PledgeAmountTooLarge();
+
+        // Calculate potential total TokenB required, bonuses included
+        uint256 potentialTokenBRequired = calculateTokenBAmount(
+            round.totalWeightedPledged + weightedAmount
+        );
+
+        // Ensure we don't exceed maximum possible pledge
+        if (
+            potentialTokenBRequired >
+            round.tokenBMaxCap * MAX_TOTAL_PLEDGE_RATIO
+        ) {
+            revert Airdrop__MaxTotalPledgeExceeded();
+        }
+
+        // Slippage protection against the ratio this pledge leaves the round at
+        if (
+            _scalingRatioFor(potentialTokenBRequired, round.tokenBMaxCap) <
+            minScalingRatio
+        ) {
+            revert Airdrop__ScalingRatioTooLow();
+        }
+
+        UserPledge storage userPledge = round.userPledges[beneficiary];
+
+        // Check maximum pledge amount
+        if (userPledge.tokenAAmount + amount > maxPledge) {
+            revert Airdrop__MaxPledgeExceeded();
+        }
+
+        // Check cooldown period
+        if (
+            userPledge.timestamp != 0 &&
+            block.timestamp - userPledge.timestamp < s_cooldownPeriod
+        ) {
+            revert Airdrop__InvalidTimestamp();
+        }
+
+        round.addDeposit(beneficiary, amount, weightedAmount, referrer);
+        s_unprocessedTokenA += amount;
+
+        emit PledgeSubmitted(
+            s_currentRound,
+            beneficiary,
+            amount,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Recovers the voucher signer and checks the voucher belongs to the caller
+     */
+    function _verifyVoucher(
+        PledgeVoucher calldata voucher,
+        bytes calldata signature
+    ) internal view {
+        if (s_voucherSigner == address(0) || voucher.user != msg.sender)
+            revert Airdrop__InvalidVoucher();
+        if (block.timestamp > voucher.expiry) revert Airdrop__VoucherExpired();
+
+        address signer = VoucherVerifier.recoverSigner(
+            voucher,
+            signature,
+            _domainSeparatorV4()
+        );
+        if (signer != s_voucherSigner) revert Airdrop__InvalidVoucher();
+    }
+
+    function _processPledge(
+        Round storage round,
+        address pledger,
+        UserPledge storage pledge
+    ) internal {
+        (
+            uint256 scaledTokenBAmount,
+            uint256 tokenAToReturn
+        ) = _projectAllocation(pledge, round.scalingRatio);
 
         pledge.tokenBAllocation = scaledTokenBAmount;
         pledge.processed = true;
-
-        if (scaledTokenBAmount > 0) {
+        round.processedCount++;
+        s_unprocessedTokenA -= pledge.tokenAAmount;
+        s_unallocatedTokenB -= scaledTokenBAmount;
+        round.tokenBDistributed += scaledTokenBAmount;
+        round.tokenAReturned += tokenAToReturn;
+        round.lastPaidPledger = pledger;
+
+        // Vested allocations stay in the contract until released
+        if (_isVesting(round)) {
+            s_unreleasedTokenB += scaledTokenBAmount;
+        } else if (scaledTokenBAmount > 0) {
+            pledge.tokenBReleased = scaledTokenBAmount;
             i_tokenB.safeTransfer(pledger, scaledTokenBAmount);
         }
 
         if (tokenAToReturn > 0) {
-            i_tokenA.safeTransfer(pledger, tokenAToReturn);
+            _refundTokenA(pledger, tokenAToReturn, pledge.nativeRefund);
+        }
+
+        emit TokensDistributed(
+            s_currentRound,
+            pledger,
+            scaledTokenBAmount,
+            tokenAToReturn
+        );
+    }
+
+    /**
+     * @dev Sends excess TokenA back, unwrapped to ETH for native pledges.
+     * If the pledger rejects ETH the refund is re-wrapped and sent as WETH,
+     * so one pledger can never block a batch.
+     */
+    function _refundTokenA(address to, uint256 amount, bool native) internal {
+        if (native) {
+            IWETH(address(i_tokenA)).withdraw(amount);
+            bool sent;
+            // Returned data is never copied, so a reverting receiver can't
+            // drain the batch's gas with a large revert reason
+            assembly {
+                sent := call(NATIVE_REFUND_GAS, to, amount, 0, 0, 0, 0)
+            }
+            if (sent) return;
+
+            IWETH(address(i_tokenA)).deposit{value: amount}();
+            emit NativeRefundFailed(s_currentRound, to, amount);
+        }
+        i_tokenA.safeTransfer(to, amount);
+    }
+
+    /**
+     * @dev Takes a blacklisted pledge out of distribution. No TokenB is
+     * allocated and its TokenA moves to the held pledge vault, where it waits
+     * to be refunded or escrowed.
+     */
+    function _holdPledge(
+        Round storage round,
+        address pledger,
+        UserPledge storage pledge
+    ) internal {
+        uint256 amount = pledge.tokenAAmount;
+        pledge.processed = true;
+        round.processedCount++;
+        s_unprocessedTokenA -= amount;
+        // Excluded pledges never counted toward the ratio or the reservation
+        if (!pledge.excluded) {
+            uint256 forfeited = calculateScaledTokenBAmount(
+                pledge.weightedAmount
+            );
+            s_unallocatedTokenB -= forfeited;
+            round.tokenBForfeited += forfeited;
+            round.creditReferrers(pledger, false);
+        }
+
+        i_tokenA.safeTransfer(address(i_heldPledgeVault), amount);
+        pledge.heldUntil = i_heldPledgeVault.hold(
+            s_currentRound,
+            pledger,
+            amount
+        );
+        emit PledgeHeld(s_currentRound, pledger, amount, pledge.heldUntil);
+    }
+
+    function _completeDistribution() internal {
+        // Whatever rounding left over is no longer owed to anyone
+        s_unallocatedTokenB = 0;
+        s_currentPhase = AirdropPhase.COMPLETED;
+        s_lastPhaseTransition = block.timestamp;
+        emit PhaseUpdated(s_currentRound, AirdropPhase.COMPLETED);
+
+        _sweepResidual(s_rounds[s_currentRound]);
+    }
+
+    /**
+     * @dev Sends the TokenB that pro-rata rounding kept back from pledgers to
+     * the configured destination. Unsold cap and forfeited shares are not
+     * part of the residual and stay recoverable by the admin.
+     */
+    function _sweepResidual(Round storage round) internal {
+        uint256 entitled = calculateTokenBAmount(round.totalWeightedPledged);
+        if (entitled > round.tokenBMaxCap) entitled = round.tokenBMaxCap;
+
+        uint256 residual = entitled -
+            round.tokenBDistributed -
+            round.tokenBForfeited;
+        uint256 available = getRecoverableSurplus(address(i_tokenB));
+        if (residual > available) residual = available;
+
+        address recipient = s_residualRecipient;
+        if (
+            s_residualDestination == ResidualDestination.LAST_PLEDGER &&
+            round.lastPaidPledger != address(0)
+        ) {
+            recipient = round.lastPaidPledger;
         }
+        if (residual == 0 || recipient == address(0)) return;
+
+        round.residualSwept = residual;
+        i_tokenB.safeTransfer(recipient, residual);
+        emit ResidualSwept(s_currentRound, recipient, residual);
+    }
+
+    /**
+     * @dev Reverts unless the contract holds `amount` of `token` on top of
+     * what is owed to pledgers and vesting beneficiaries
+     */
+    function _checkSurplus(address token, uint256 amount) internal view {
+        if (amount > getRecoverableSurplus(token))
+            revert Airdrop__InsufficientSurplus();
+    }
 
-        emit TokensDistributed(pledger, scaledTokenBAmount, tokenAToReturn);
+    function _isVesting(Round storage round) internal view returns (bool) {
+        return round.vestingCliff != 0 || round.vestingDuration != 0;
+    }
+
+    function _vestedAmount(
+        Round storage round,
+        UserPledge storage pledge
+    ) internal view returns (uint256) {
+        if (!pledge.processed) return 0;
+        if (!_isVesting(round)) return pledge.tokenBAllocation;
+
+        uint256 cliffEnd = round.vestingStart + round.vestingCliff;
+        if (block.timestamp < cliffEnd) return 0;
+        if (block.timestamp >= cliffEnd + round.vestingDuration)
+            return pledge.tokenBAllocation;
+        return
+            (pledge.tokenBAllocation * (block.timestamp - cliffEnd)) /
+            round.vestingDuration;
+    }
+
+    function _getRound(uint256 roundId) internal view returns (Round storage) {
+        if (roundId == 0 || roundId > s_currentRound)
+            revert Airdrop__InvalidRound();
+        return s_rounds[roundId];
     }
 
     /* View Functions */
 
+    /**
+     * @dev Converts TokenA into TokenB base units, normalizing decimals.
+     * Rounds down so the contract never owes more TokenB than the math allows.
+     */
     function calculateTokenBAmount(
         uint256 tokenAAmount
     ) public view returns (uint256) {
-        return (tokenAAmount * i_conversionRatio) / BASIS_POINTS;
+        return
+            Math.mulDiv(
+                tokenAAmount * i_conversionRatio,
+                i_tokenBUnit,
+                BASIS_POINTS * i_tokenAUnit
+            );
     }
 
+    /**
+     * @dev Applies the round's scaling ratio, rounding down
+     */
     function calculateScaledTokenBAmount(
         uint256 tokenAAmount
     ) public view returns (uint256) {
-        uint256 rawAmount = calculateTokenBAmount(tokenAAmount);
-        return (rawAmount * s_scalingRatio) / BASIS_POINTS;
+        return
+            _scaledTokenBAmount(
+                tokenAAmount,
+                s_rounds[s_currentRound].scalingRatio
+            );
     }
 
+    /**
+     * @dev TokenA left over once the scaled TokenB is paid for. The TokenA
+     * consumed is rounded up, so refunds round down in the contract's favor.
+     */
     function calculateTokenAToReturn(
         uint256 tokenAAmount,
         uint256 scaledTokenBAmount
     ) public view returns (uint256) {
-        if (s_scalingRatio < BASIS_POINTS) {
-            uint256 effectiveTokenB = (scaledTokenBAmount * BASIS_POINTS) /
-                s_scalingRatio;
-            return tokenAAmount - effectiveTokenB;
-        }
-        return 0;
+        return
+            _tokenAToReturn(
+                tokenAAmount,
+                scaledTokenBAmount,
+                s_rounds[s_currentRound].scalingRatio
+            );
     }
 
     /* Getter Functions */
@@ -460,6 +1745,20 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
         return s_currentPhase;
     }
 
+    function getCurrentRound() external view returns (uint256) {
+        return s_currentRound;
+    }
+
+    /**
+     * @dev Scaling ratio the current round would be finalized at with its
+     * current pledges. Once the pledge phase is over this is the fixed ratio.
+     */
+    function getImpliedScalingRatio() public view returns (uint256) {
+        Round storage round = s_rounds[s_currentRound];
+        if (s_currentPhase != AirdropPhase.PLEDGE) return round.scalingRatio;
+        return _impliedScalingRatio(round);
+    }
+
     function getUserPledge(
         address user
     )
@@ -472,7 +1771,23 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
             uint256 timestamp
         )
     {
-        UserPledge memory pledge = s_userPledges[user];
+        return getUserPledge(s_currentRound, user);
+    }
+
+    function getUserPledge(
+        uint256 roundId,
+        address user
+    )
+        public
+        view
+        returns (
+            uint256 tokenAAmount,
+            uint256 tokenBAllocation,
+            bool processed,
+            uint256 timestamp
+        )
+    {
+        UserPledge storage pledge = _getRound(roundId).userPledges[user];
         return (
             pledge.tokenAAmount,
             pledge.tokenBAllocation,
@@ -481,16 +1796,149 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
         );
     }
 
+    function getPledgeRecord(
+        address user
+    ) external view returns (UserPledge memory) {
+        return getPledgeRecord(s_currentRound, user);
+    }
+
+    /**
+     * @dev Full pledge record of a user in a round, including the vesting,
+     * blacklist and bonus bookkeeping getUserPledge leaves out
+     */
+    function getPledgeRecord(
+        uint256 roundId,
+        address user
+    ) public view returns (UserPledge memory) {
+        return _getRound(roundId).userPledges[user];
+    }
+
+    /**
+     * @dev TokenB a user would receive and TokenA they would get back in the
+     * current round, at the implied ratio while pledging is still open
+     */
+    function getProjectedAllocation(
+        address user
+    ) external view returns (uint256 tokenBAmount, uint256 tokenARefund) {
+        return
+            _projectAllocation(
+                s_rounds[s_currentRound].userPledges[user],
+                getImpliedScalingRatio()
+            );
+    }
+
+    function getPledgers(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (PledgerInfo[] memory) {
+        return getPledgers(s_currentRound, offset, limit);
+    }
+
+    /**
+     * @dev Page through a round's pledgers with their pledge data and
+     * projected outcome, as getProjectedAllocation reports it
+     * @param offset Index of the first pledger to return
+     * @param limit Maximum number of pledgers to return
+     */
+    function getPledgers(
+        uint256 roundId,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (PledgerInfo[] memory page) {
+        Round storage round = _getRound(roundId);
+        uint256 length = round.pledgers.length;
+        if (offset >= length) return page;
+        if (limit > length - offset) limit = length - offset;
+
+        uint256 scalingRatio = roundId == s_currentRound
+            ? getImpliedScalingRatio()
+            : round.scalingRatio;
+
+        page = new PledgerInfo[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            address pledger = round.pledgers[offset + i];
+            UserPledge storage pledge = round.userPledges[pledger];
+            PledgerInfo memory info = page[i];
+            info.pledger = pledger;
+            info.tokenAAmount = pledge.tokenAAmount;
+            info.tokenBAllocation = pledge.tokenBAllocation;
+            info.processed = pledge.processed;
+            info.timestamp = pledge.timestamp;
+            (info.projectedTokenB, info.projectedRefund) = _projectAllocation(
+                pledge,
+                scalingRatio
+            );
+        }
+    }
+
+    function getDeposits(
+        uint256 roundId,
+        address user
+    ) external view returns (Deposit[] memory) {
+        return _getRound(roundId).deposits[user];
+    }
+
+    function getEarlyBirdBonus() external view returns (uint256) {
+        return s_earlyBirdBonus;
+    }
+
+    /**
+     * @dev TokenA pledged in a round through `referrer` that counts toward
+     * the scaling ratio: net of withdrawals, and without pledges that were
+     * excluded, held or refunded in an emergency
+     */
+    function getReferredAmount(
+        uint256 roundId,
+        address referrer
+    ) external view returns (uint256) {
+        return _getRound(roundId).referredTokenA[referrer];
+    }
+
+    function getVoucherSigner() external view returns (address) {
+        return s_voucherSigner;
+    }
+
+    function isNativePledgingEnabled() external view returns (bool) {
+        return s_nativePledging;
+    }
+
+    function isFeeOnTransferAllowed() external view returns (bool) {
+        return s_feeOnTransferAllowed;
+    }
+
+    function getUserTier(address user) external view returns (uint8) {
+        return s_userTiers[user];
+    }
+
+    function isPledgePayer(
+        address beneficiary,
+        address payer
+    ) external view returns (bool) {
+        return s_pledgePayers[beneficiary][payer];
+    }
+
     function isBlacklisted(address account) external view returns (bool) {
         return s_blacklistedAddresses[account];
     }
 
     function getTotalPledged() external view returns (uint256) {
-        return s_totalTokenAPledged;
+        return getTotalPledged(s_currentRound);
+    }
+
+    function getTotalPledged(uint256 roundId) public view returns (uint256) {
+        return _getRound(roundId).totalTokenAPledged;
+    }
+
+    function getUnprocessedTokenA() external view returns (uint256) {
+        return s_unprocessedTokenA;
     }
 
     function getScalingRatio() external view returns (uint256) {
-        return s_scalingRatio;
+        return getScalingRatio(s_currentRound);
+    }
+
+    function getScalingRatio(uint256 roundId) public view returns (uint256) {
+        return _getRound(roundId).scalingRatio;
     }
 
     function getConversionRatio() external view returns (uint256) {
@@ -498,19 +1946,192 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
     }
 
     function getTokenBMaxCap() external view returns (uint256) {
-        return i_tokenBMaxCap;
+        return getTokenBMaxCap(s_currentRound);
+    }
+
+    function getTokenBMaxCap(uint256 roundId) public view returns (uint256) {
+        return _getRound(roundId).tokenBMaxCap;
+    }
+
+    function getMinPledgeAmount() external view returns (uint256) {
+        return getMinPledgeAmount(s_currentRound);
+    }
+
+    function getMinPledgeAmount(
+        uint256 roundId
+    ) public view returns (uint256) {
+        return _getRound(roundId).minPledgeAmount;
     }
 
     function getPledgersCount() external view returns (uint256) {
-        return s_pledgers.length;
+        return getPledgersCount(s_currentRound);
+    }
+
+    function getPledgersCount(uint256 roundId) public view returns (uint256) {
+        return _getRound(roundId).pledgers.length;
+    }
+
+    function getPledgeStart() external view returns (uint256) {
+        return getPledgeStart(s_currentRound);
+    }
+
+    function getPledgeStart(uint256 roundId) public view returns (uint256) {
+        return _getRound(roundId).pledgeStart;
+    }
+
+    function getMaxPledgeDuration() external pure returns (uint256) {
+        return MAX_PLEDGE_DURATION;
     }
 
     function getPledgeDeadline() external view returns (uint256) {
-        return s_pledgeDeadline;
+        return getPledgeDeadline(s_currentRound);
+    }
+
+    function getPledgeDeadline(
+        uint256 roundId
+    ) public view returns (uint256) {
+        return _getRound(roundId).pledgeDeadline;
+    }
+
+    function getUnprocessedPledgersCount() external view returns (uint256) {
+        return getUnprocessedPledgersCount(s_currentRound);
+    }
+
+    /**
+     * @dev Pledgers still owed a batch payout: neither processed, claimed
+     * through a Merkle proof nor refunded in an emergency
+     */
+    function getUnprocessedPledgersCount(
+        uint256 roundId
+    ) public view returns (uint256) {
+        Round storage round = _getRound(roundId);
+        return
+            round.pledgers.length -
+            round.processedCount -
+            round.emergencyRefundedCount;
     }
 
     function getLastProcessedIndex() external view returns (uint256) {
-        return s_lastProcessedIndex;
+        return getLastProcessedIndex(s_currentRound);
+    }
+
+    function getLastProcessedIndex(
+        uint256 roundId
+    ) public view returns (uint256) {
+        return _getRound(roundId).lastProcessedIndex;
+    }
+
+    function getProcessedCount() external view returns (uint256) {
+        return getProcessedCount(s_currentRound);
+    }
+
+    function getProcessedCount(
+        uint256 roundId
+    ) public view returns (uint256) {
+        return _getRound(roundId).processedCount;
+    }
+
+    function getMerkleRoot() external view returns (bytes32) {
+        return getMerkleRoot(s_currentRound);
+    }
+
+    function getMerkleRoot(uint256 roundId) public view returns (bytes32) {
+        return _getRound(roundId).merkleRoot;
+    }
+
+    function getVestingSchedule()
+        external
+        view
+        returns (uint256 cliff, uint256 duration)
+    {
+        return (s_vestingCliff, s_vestingDuration);
+    }
+
+    function getVestingSchedule(
+        uint256 roundId
+    ) external view returns (uint256 start, uint256 cliff, uint256 duration) {
+        Round storage round = _getRound(roundId);
+        return (round.vestingStart, round.vestingCliff, round.vestingDuration);
+    }
+
+    function getUnreleasedTokenB() external view returns (uint256) {
+        return s_unreleasedTokenB;
+    }
+
+    function getResidualDestination()
+        external
+        view
+        returns (ResidualDestination destination, address recipient)
+    {
+        return (s_residualDestination, s_residualRecipient);
+    }
+
+    /**
+     * @dev Running totals paid out by processing in a round, plus the
+     * rounding residual swept at completion
+     */
+    function getDistributionTotals(
+        uint256 roundId
+    )
+        external
+        view
+        returns (
+            uint256 tokenBDistributed,
+            uint256 tokenAReturned,
+            uint256 tokenBForfeited,
+            uint256 residualSwept
+        )
+    {
+        Round storage round = _getRound(roundId);
+        return (
+            round.tokenBDistributed,
+            round.tokenAReturned,
+            round.tokenBForfeited,
+            round.residualSwept
+        );
+    }
+
+    function getUnallocatedTokenB() external view returns (uint256) {
+        return s_unallocatedTokenB;
+    }
+
+    /**
+     * @dev Outstanding amounts owed to users: TokenA refundable to unprocessed
+     * pledges, TokenB allocated to unprocessed pledges or still vesting.
+     * While pledging is open, the TokenB the current pledges would be
+     * allocated at finalization, up to the cap, is already owed.
+     * Held pledges are owed by the held pledge vault, which holds their TokenA.
+     */
+    function getLiabilities()
+        public
+        view
+        returns (uint256 tokenALiability, uint256 tokenBLiability)
+    {
+        tokenALiability = s_unprocessedTokenA;
+        tokenBLiability = s_unallocatedTokenB + s_unreleasedTokenB;
+        if (s_currentPhase == AirdropPhase.PLEDGE) {
+            Round storage round = s_rounds[s_currentRound];
+            tokenBLiability += Math.min(
+                calculateTokenBAmount(round.totalWeightedPledged),
+                round.tokenBMaxCap
+            );
+        }
+    }
+
+    /**
+     * @dev Amount of `token` the admin may recover. TokenA and TokenB are
+     * capped at the balance minus liabilities; any other token is surplus.
+     */
+    function getRecoverableSurplus(
+        address token
+    ) public view returns (uint256) {
+        (uint256 tokenALiability, uint256 tokenBLiability) = getLiabilities();
+        uint256 reserved;
+        if (token == address(i_tokenA)) reserved += tokenALiability;
+        if (token == address(i_tokenB)) reserved += tokenBLiability;
+
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        return balance > reserved ? balance - reserved : 0;
     }
 
     function getCooldownPeriod() external view returns (uint256) {
@@ -529,6 +2150,21 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
         return s_minPhaseTransitionTime;
     }
 
+    function getBatchSize() external pure returns (uint256) {
+        return BATCH_SIZE;
+    }
+
+    function getConfigDelay() external view returns (uint256) {
+        return s_configDelay;
+    }
+
+    function getPendingConfigChange(
+        ConfigParam param
+    ) external view returns (uint256 value, uint256 effectiveTime) {
+        PendingConfigChange memory change = s_pendingConfigChanges[param];
+        return (change.value, change.effectiveTime);
+    }
+
     function getLastPhaseTransition() external view returns (uint256) {
         return s_lastPhaseTransition;
     }
@@ -537,7 +2173,15 @@ contract Airdrop is ReentrancyGuard, Ownable, Pausable {
         return (i_tokenADecimals, i_tokenBDecimals);
     }
 
+    function getHeldPledgeVault() external view returns (address) {
+        return address(i_heldPledgeVault);
+    }
+
     function isEmergencyMode() external view returns (bool) {
         return s_emergencyMode;
     }
+
+    function getEmergencyExitTime() external view returns (uint256) {
+        return s_emergencyExitTime;
+    }
 }
@@ -0,0 +1,353 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./Airdrop.sol";
+
+error AirdropFactory__InvalidCode();
+error AirdropFactory__UnknownCampaign();
+
+/**
+ * @title AirdropFactory
+ * @dev Deploys Airdrop campaigns and keeps an on-chain registry of them.
+ * Airdrop keeps its tokens and conversion settings in immutables, which
+ * minimal clones can't carry, and its creation code is too large to embed in
+ * the factory. The creation code is instead written to data contracts when
+ * the factory is deployed, and each campaign is deployed in full from it.
+ */
+contract AirdropFactory is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /* Types */
+    struct CampaignParams {
+        address tokenA;
+        address tokenB;
+        uint256 conversionRatio;
+        uint256 tokenBMaxCap;
+        uint256 minPledgeAmount;
+        uint256 pledgeDuration;
+    }
+
+    struct CampaignInfo {
+        address campaign;
+        address creator;
+        address admin; // holder of every role when the campaign was created
+        address tokenA;
+        address tokenB;
+        uint256 createdAt;
+        uint256 currentRound;
+        Airdrop.AirdropPhase phase;
+    }
+
+    /* State Variables */
+    // Immutable variables
+    uint256 private immutable i_codeLength;
+    bytes32 private immutable i_codeHash;
+
+    /* Storage variables */
+    address[] private s_codeChunks; // data contracts holding the creation code
+    address[] private s_campaigns;
+    // Registry entries, with the live round and phase fields left unset
+    mapping(address => CampaignInfo) private s_campaignInfo;
+    mapping(address => address[]) private s_campaignsByCreator;
+    mapping(bytes32 => address[]) private s_campaignsByPair;
+
+    /* Constants */
+    uint256 private constant MAX_CONVERSION_RATIO = 1e18;
+    // A data contract's code is a STOP byte followed by up to this much data
+    uint256 private constant MAX_CHUNK_SIZE = 24575;
+
+    /* Events */
+    event CampaignCreated(
+        address indexed campaign,
+        address indexed creator,
+        address indexed admin,
+        address tokenA,
+        address tokenB,
+        uint256 tokenBFunded
+    );
+
+    /**
+     * @param airdropCreationCode Creation code of Airdrop, without
+     * constructor arguments (the `bytecode` of its build artifact)
+     */
+    constructor(bytes memory airdropCreationCode) {
+        uint256 length = airdropCreationCode.length;
+        if (length == 0) revert AirdropFactory__InvalidCode();
+
+        for (uint256 offset = 0; offset < length; offset += MAX_CHUNK_SIZE) {
+            uint256 size = length - offset;
+            if (size > MAX_CHUNK_SIZE) size = MAX_CHUNK_SIZE;
+            s_codeChunks.push(_writeChunk(airdropCreationCode, offset, size));
+        }
+
+        i_codeLength = length;
+        i_codeHash = keccak256(airdropCreationCode);
+    }
+
+    /**
+     * @dev Deploys a campaign and hands every role on it to `admin`
+     * @param params Airdrop constructor arguments, validated as it would
+     * @param admin Address receiving every role and the rounding residual
+     * @param fundTokenBCap Whether to pull the TokenB cap from the caller into
+     * the new campaign, which needs a prior approve to this factory
+     * @return campaign Address of the new Airdrop
+     */
+    function createCampaign(
+        CampaignParams calldata params,
+        address admin,
+        bool fundTokenBCap
+    ) external nonReentrant returns (address campaign) {
+        _validateParams(params, admin);
+
+        bytes memory initCode = abi.encodePacked(
+            _airdropCreationCode(),
+            abi.encode(
+                params.tokenA,
+                params.tokenB,
+                params.conversionRatio,
+                params.tokenBMaxCap,
+                params.minPledgeAmount,
+                params.pledgeDuration
+            )
+        );
+        assembly ("memory-safe") {
+            campaign := create(0, add(initCode, 0x20), mload(initCode))
+            // Bubble up the constructor's revert reason
+            if iszero(campaign) {
+                returndatacopy(0, 0, returndatasize())
+                revert(0, returndatasize())
+            }
+        }
+
+        _handOver(Airdrop(payable(campaign)), admin);
+
+        s_campaigns.push(campaign);
+        s_campaignsByCreator[msg.sender].push(campaign);
+        s_campaignsByPair[_pairKey(params.tokenA, params.tokenB)].push(
+            campaign
+        );
+        CampaignInfo storage info = s_campaignInfo[campaign];
+        info.campaign = campaign;
+        info.creator = msg.sender;
+        info.admin = admin;
+        info.tokenA = params.tokenA;
+        info.tokenB = params.tokenB;
+        info.createdAt = block.timestamp;
+
+        uint256 tokenBFunded;
+        if (fundTokenBCap) {
+            tokenBFunded = params.tokenBMaxCap;
+            IERC20(params.tokenB).safeTransferFrom(
+                msg.sender,
+                campaign,
+                tokenBFunded
+            );
+        }
+
+        emit CampaignCreated(
+            campaign,
+            msg.sender,
+            admin,
+            params.tokenA,
+            params.tokenB,
+            tokenBFunded
+        );
+    }
+
+    /* Internal Functions */
+
+    /**
+     * @dev Mirrors the Airdrop constructor checks, so a bad configuration
+     * fails with the same error before any code is deployed
+     */
+    function _validateParams(
+        CampaignParams calldata params,
+        address admin
+    ) internal pure {
+        if (
+            params.tokenA == address(0) ||
+            params.tokenB == address(0) ||
+            admin == address(0)
+        ) revert Airdrop__InvalidAddress();
+        if (
+            params.conversionRatio == 0 ||
+            params.conversionRatio > MAX_CONVERSION_RATIO ||
+            params.minPledgeAmount == 0
+        ) revert Airdrop__InvalidAmount();
+        if (params.pledgeDuration == 0) revert Airdrop__InvalidTimestamp();
+    }
+
+    /**
+     * @dev The factory deployed the campaign, so it holds every role. It
+     * points the residual at the admin, grants the admin each role and then
+     * renounces its own, the default admin role last.
+     */
+    function _handOver(Airdrop campaign, address admin) internal {
+        campaign.setResidualDestination(
+            Airdrop.ResidualDestination.PROJECT,
+            admin
+        );
+
+        bytes32[6] memory roles = [
+            campaign.OPERATOR_ROLE(),
+            campaign.COMPLIANCE_ROLE(),
+            campaign.CONFIG_ADMIN_ROLE(),
+            campaign.GUARDIAN_ROLE(),
+            campaign.KEEPER_ROLE(),
+            campaign.DEFAULT_ADMIN_ROLE()
+        ];
+        for (uint256 i = 0; i < roles.length; i++) {
+            campaign.grantRole(roles[i], admin);
+        }
+        for (uint256 i = 0; i < roles.length; i++) {
+            campaign.renounceRole(roles[i], address(this));
+        }
+    }
+
+    /**
+     * @dev Deploys a data contract whose code is a STOP byte, so it can never
+     * be called into, followed by `size` bytes of `code` from `offset`
+     */
+    function _writeChunk(
+        bytes memory code,
+        uint256 offset,
+        uint256 size
+    ) internal returns (address chunk) {
+        // PUSH2 len, DUP1, PUSH1 12, PUSH1 0, CODECOPY, PUSH1 0, RETURN:
+        // returns everything after this 12-byte header as the runtime code
+        bytes memory initCode = bytes.concat(
+            hex"61",
+            bytes2(uint16(size + 1)),
+            hex"80600c6000396000f3",
+            hex"00",
+            new bytes(size)
+        );
+        assembly ("memory-safe") {
+            mcopy(add(initCode, 45), add(add(code, 0x20), offset), size)
+            chunk := create(0, add(initCode, 0x20), mload(initCode))
+        }
+        if (chunk == address(0)) revert AirdropFactory__InvalidCode();
+    }
+
+    /**
+     * @dev Reassembles Airdrop's creation code from the data contracts
+     */
+    function _airdropCreationCode() internal view returns (bytes memory code) {
+        code = new bytes(i_codeLength);
+        uint256 offset;
+        for (uint256 i = 0; i < s_codeChunks.length; i++) {
+            address chunk = s_codeChunks[i];
+            uint256 size = chunk.code.length - 1;
+            assembly ("memory-safe") {
+                extcodecopy(chunk, add(add(code, 0x20), offset), 1, size)
+            }
+            offset += size;
+        }
+    }
+
+    function _pairKey(
+        address tokenA,
+        address tokenB
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(tokenA, tokenB));
+    }
+
+    function _toInfos(
+        address[] storage campaigns,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (CampaignInfo[] memory page) {
+        uint256 length = campaigns.length;
+        if (offset >= length) return page;
+        if (limit > length - offset) limit = length - offset;
+
+        page = new CampaignInfo[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            page[i] = getCampaign(campaigns[offset + i]);
+        }
+    }
+
+    /* Getter Functions */
+
+    /**
+     * @dev Registry entry of a campaign with its current round and phase.
+     * Reverts for addresses this factory did not deploy.
+     */
+    function getCampaign(
+        address campaign
+    ) public view returns (CampaignInfo memory info) {
+        info = s_campaignInfo[campaign];
+        if (info.campaign == address(0))
+            revert AirdropFactory__UnknownCampaign();
+
+        Airdrop airdrop = Airdrop(payable(campaign));
+        info.currentRound = airdrop.getCurrentRound();
+        info.phase = airdrop.getCurrentPhase();
+    }
+
+    /**
+     * @dev Page through every campaign in creation order
+     * @param offset Index of the first campaign to return
+     * @param limit Maximum number of campaigns to return
+     */
+    function getCampaigns(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (CampaignInfo[] memory) {
+        return _toInfos(s_campaigns, offset, limit);
+    }
+
+    function getCampaignsByCreator(
+        address creator,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (CampaignInfo[] memory) {
+        return _toInfos(s_campaignsByCreator[creator], offset, limit);
+    }
+
+    /**
+     * @dev Campaigns pledging `tokenA` for `tokenB`. The order matters:
+     * the reverse pair is a different set of campaigns.
+     */
+    function getCampaignsByTokenPair(
+        address tokenA,
+        address tokenB,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (CampaignInfo[] memory) {
+        bytes32 pair = _pairKey(tokenA, tokenB);
+        return _toInfos(s_campaignsByPair[pair], offset, limit);
+    }
+
+    function getCampaignCount() external view returns (uint256) {
+        return s_campaigns.length;
+    }
+
+    function getCampaignCountByCreator(
+        address creator
+    ) external view returns (uint256) {
+        return s_campaignsByCreator[creator].length;
+    }
+
+    function getCampaignCountByTokenPair(
+        address tokenA,
+        address tokenB
+    ) external view returns (uint256) {
+        return s_campaignsByPair[_pairKey(tokenA, tokenB)].length;
+    }
+
+    function isCampaign(address campaign) external view returns (bool) {
+        return s_campaignInfo[campaign].campaign != address(0);
+    }
+
+    /**
+     * @dev keccak256 of the Airdrop creation code campaigns are deployed
+     * from, to check against a build artifact
+     */
+    function getAirdropCodeHash() external view returns (bytes32) {
+        return i_codeHash;
+    }
+}
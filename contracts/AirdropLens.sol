@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./Airdrop.sol";
+import "./HeldPledgeVault.sol";
+
+/**
+ * @title AirdropLens
+ * @dev Read-only views over any Airdrop, built from its raw getters. They
+ * live here rather than in Airdrop to keep it under the contract size limit.
+ * The lens holds no state, so one deployment serves every campaign.
+ */
+contract AirdropLens {
+    /* Constants */
+    uint256 private constant BASIS_POINTS = 10000;
+
+    /**
+     * @dev Extra TokenB the early-bird bonus earns a user in the current
+     * round, at the ratio getProjectedAllocation uses
+     */
+    function getProjectedBonus(
+        Airdrop airdrop,
+        address user
+    ) external view returns (uint256) {
+        (uint256 tokenBAmount, ) = airdrop.getProjectedAllocation(user);
+        uint256 unweighted = Math.mulDiv(
+            airdrop.calculateTokenBAmount(
+                airdrop.getPledgeRecord(user).tokenAAmount
+            ),
+            airdrop.getImpliedScalingRatio(),
+            BASIS_POINTS
+        );
+        return tokenBAmount > unweighted ? tokenBAmount - unweighted : 0;
+    }
+
+    /**
+     * @dev Bonus-weighted pledge of a user in the current round
+     * @return weightedAmount TokenA amount the user's share is based on
+     * @return weight Average weight across deposits, in basis points
+     */
+    function getPledgeWeight(
+        Airdrop airdrop,
+        address user
+    ) external view returns (uint256 weightedAmount, uint256 weight) {
+        Airdrop.UserPledge memory pledge = airdrop.getPledgeRecord(user);
+        weightedAmount = pledge.weightedAmount;
+        if (pledge.tokenAAmount != 0)
+            weight = (weightedAmount * BASIS_POINTS) / pledge.tokenAAmount;
+    }
+
+    /**
+     * @dev Weight, in basis points, a pledge made now would receive
+     */
+    function getCurrentPledgeWeight(
+        Airdrop airdrop
+    ) external view returns (uint256) {
+        uint256 bonus = airdrop.getEarlyBirdBonus();
+        uint256 start = airdrop.getPledgeStart();
+        uint256 deadline = airdrop.getPledgeDeadline();
+        if (bonus == 0 || block.timestamp >= deadline) return BASIS_POINTS;
+        return
+            BASIS_POINTS +
+            (bonus * (deadline - block.timestamp)) /
+            (deadline - start);
+    }
+
+    /**
+     * @dev Blacklist handling state of a pledge
+     * @return excluded Whether the pledge was left out of the scaling ratio
+     * @return tokenAAmount TokenA still held, zero once refunded or escrowed
+     * @return heldUntil End of the review window, zero if never held
+     */
+    function getHeldPledge(
+        Airdrop airdrop,
+        uint256 roundId,
+        address user
+    )
+        external
+        view
+        returns (bool excluded, uint256 tokenAAmount, uint256 heldUntil)
+    {
+        excluded = airdrop.getPledgeRecord(roundId, user).excluded;
+        (tokenAAmount, heldUntil) = HeldPledgeVault(
+            airdrop.getHeldPledgeVault()
+        ).getHeldPledge(roundId, user);
+    }
+
+    function getVestedAmount(
+        Airdrop airdrop,
+        address user
+    ) external view returns (uint256) {
+        return getVestedAmount(airdrop, airdrop.getCurrentRound(), user);
+    }
+
+    /**
+     * @dev TokenB vested so far, on the same schedule Airdrop.release pays out
+     */
+    function getVestedAmount(
+        Airdrop airdrop,
+        uint256 roundId,
+        address user
+    ) public view returns (uint256) {
+        Airdrop.UserPledge memory pledge = airdrop.getPledgeRecord(
+            roundId,
+            user
+        );
+        if (!pledge.processed) return 0;
+
+        (uint256 start, uint256 cliff, uint256 duration) = airdrop
+            .getVestingSchedule(roundId);
+        if (cliff == 0 && duration == 0) return pledge.tokenBAllocation;
+
+        uint256 cliffEnd = start + cliff;
+        if (block.timestamp < cliffEnd) return 0;
+        if (block.timestamp >= cliffEnd + duration)
+            return pledge.tokenBAllocation;
+        return
+            (pledge.tokenBAllocation * (block.timestamp - cliffEnd)) /
+            duration;
+    }
+
+    function getReleasedAmount(
+        Airdrop airdrop,
+        address user
+    ) external view returns (uint256) {
+        return getReleasedAmount(airdrop, airdrop.getCurrentRound(), user);
+    }
+
+    /**
+     * @dev TokenB already paid out to a user, by release or at processing
+     */
+    function getReleasedAmount(
+        Airdrop airdrop,
+        uint256 roundId,
+        address user
+    ) public view returns (uint256) {
+        return airdrop.getPledgeRecord(roundId, user).tokenBReleased;
+    }
+
+    function getReleasableAmount(
+        Airdrop airdrop,
+        address user
+    ) external view returns (uint256) {
+        return getReleasableAmount(airdrop, airdrop.getCurrentRound(), user);
+    }
+
+    function getReleasableAmount(
+        Airdrop airdrop,
+        uint256 roundId,
+        address user
+    ) public view returns (uint256) {
+        return
+            getVestedAmount(airdrop, roundId, user) -
+            getReleasedAmount(airdrop, roundId, user);
+    }
+}
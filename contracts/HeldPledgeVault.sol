@@ -0,0 +1,212 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "./Airdrop.sol";
+
+error HeldPledgeVault__InvalidAddress();
+error HeldPledgeVault__InvalidAmount();
+error HeldPledgeVault__NotHeld();
+error HeldPledgeVault__ReviewWindowActive();
+error HeldPledgeVault__ReviewWindowClosed();
+error HeldPledgeVault__NotBlacklisted();
+
+/**
+ * @title HeldPledgeVault
+ * @dev Holds the TokenA of pledges an Airdrop takes out of distribution for
+ * compliance review. Each Airdrop deploys its own vault and moves a held
+ * pledge's TokenA here when a batch reaches it. Compliance is whoever holds
+ * the Airdrop's COMPLIANCE_ROLE: during the review window it can send the
+ * TokenA of a still blacklisted pledger to the escrow address. After the
+ * window, or as soon as the pledger is cleared, anyone can refund them.
+ */
+contract HeldPledgeVault is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /* Types */
+    struct HeldPledge {
+        uint256 tokenAAmount; // zero once refunded or escrowed
+        uint256 heldUntil; // end of the review window
+    }
+
+    /* State Variables */
+    Airdrop private immutable i_airdrop;
+    IERC20 private immutable i_tokenA;
+
+    address private s_escrowAddress;
+    uint256 private s_reviewWindow;
+    uint256 private s_heldTokenA;
+    mapping(uint256 => mapping(address => HeldPledge)) private s_heldPledges;
+
+    /* Constants */
+    uint256 private constant DEFAULT_REVIEW_WINDOW = 7 days;
+    uint256 private constant MAX_REVIEW_WINDOW = 30 days;
+
+    /* Events */
+    event HeldPledgeRefunded(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 tokenAAmount
+    );
+    event HeldPledgeEscrowed(
+        uint256 indexed roundId,
+        address indexed user,
+        address indexed escrow,
+        uint256 tokenAAmount
+    );
+    event HeldPledgePolicyUpdated(address indexed escrow, uint256 reviewWindow);
+
+    modifier onlyCompliance() {
+        bytes32 role = i_airdrop.COMPLIANCE_ROLE();
+        if (!i_airdrop.hasRole(role, msg.sender))
+            revert IAccessControl.AccessControlUnauthorizedAccount(
+                msg.sender,
+                role
+            );
+        _;
+    }
+
+    /**
+     * @dev Deployed by the Airdrop it serves
+     * @param tokenA The Airdrop's TokenA
+     */
+    constructor(IERC20 tokenA) {
+        i_airdrop = Airdrop(payable(msg.sender));
+        i_tokenA = tokenA;
+        s_reviewWindow = DEFAULT_REVIEW_WINDOW;
+    }
+
+    /**
+     * @dev Records a pledge the Airdrop has just moved here and starts its
+     * review window. Credits what actually arrived, which is less for
+     * fee-on-transfer tokens.
+     * @return heldUntil End of the review window
+     */
+    function hold(
+        uint256 roundId,
+        address pledger,
+        uint256 amount
+    ) external returns (uint256 heldUntil) {
+        if (msg.sender != address(i_airdrop))
+            revert HeldPledgeVault__InvalidAddress();
+
+        uint256 received = i_tokenA.balanceOf(address(this)) - s_heldTokenA;
+        if (received > amount) received = amount;
+
+        heldUntil = block.timestamp + s_reviewWindow;
+        s_heldPledges[roundId][pledger] = HeldPledge(received, heldUntil);
+        s_heldTokenA += received;
+    }
+
+    /**
+     * @dev Returns a held pledge's TokenA to the pledger once the review
+     * window has passed without an escrow decision, or straight away if the
+     * pledger is no longer blacklisted. Callable by anyone, as the funds can
+     * only go back to the pledger.
+     */
+    function refundHeldPledge(
+        uint256 roundId,
+        address pledger
+    ) external nonReentrant {
+        HeldPledge storage pledge = _getHeldPledge(roundId, pledger);
+        if (
+            block.timestamp < pledge.heldUntil &&
+            i_airdrop.isBlacklisted(pledger)
+        ) revert HeldPledgeVault__ReviewWindowActive();
+
+        uint256 amount = _release(pledge);
+        i_tokenA.safeTransfer(pledger, amount);
+        emit HeldPledgeRefunded(roundId, pledger, amount);
+    }
+
+    /**
+     * @dev Sends a held pledge's TokenA to the escrow address. Only possible
+     * during the review window and while the pledger is still blacklisted;
+     * otherwise the pledger is owed a refund.
+     */
+    function escrowHeldPledge(
+        uint256 roundId,
+        address pledger
+    ) external onlyCompliance nonReentrant {
+        if (s_escrowAddress == address(0))
+            revert HeldPledgeVault__InvalidAddress();
+        if (!i_airdrop.isBlacklisted(pledger))
+            revert HeldPledgeVault__NotBlacklisted();
+        HeldPledge storage pledge = _getHeldPledge(roundId, pledger);
+        if (block.timestamp >= pledge.heldUntil)
+            revert HeldPledgeVault__ReviewWindowClosed();
+
+        uint256 amount = _release(pledge);
+        i_tokenA.safeTransfer(s_escrowAddress, amount);
+        emit HeldPledgeEscrowed(roundId, pledger, s_escrowAddress, amount);
+    }
+
+    /**
+     * @dev Configure where held pledges can be escrowed and how long compliance
+     * has to decide before the pledger becomes entitled to a refund. The
+     * window applies to pledges held from then on.
+     * @param escrow Address that receives escrowed TokenA, zero to disable escrow
+     * @param reviewWindow Seconds a pledge is held before it can be refunded
+     */
+    function setHeldPledgePolicy(
+        address escrow,
+        uint256 reviewWindow
+    ) external onlyCompliance {
+        if (reviewWindow > MAX_REVIEW_WINDOW)
+            revert HeldPledgeVault__InvalidAmount();
+        s_escrowAddress = escrow;
+        s_reviewWindow = reviewWindow;
+        emit HeldPledgePolicyUpdated(escrow, reviewWindow);
+    }
+
+    /* Internal Functions */
+
+    function _getHeldPledge(
+        uint256 roundId,
+        address pledger
+    ) internal view returns (HeldPledge storage pledge) {
+        pledge = s_heldPledges[roundId][pledger];
+        if (pledge.tokenAAmount == 0) revert HeldPledgeVault__NotHeld();
+    }
+
+    function _release(
+        HeldPledge storage pledge
+    ) internal returns (uint256 amount) {
+        amount = pledge.tokenAAmount;
+        pledge.tokenAAmount = 0;
+        s_heldTokenA -= amount;
+    }
+
+    /* Getter Functions */
+
+    /**
+     * @return tokenAAmount TokenA still held, zero once refunded or escrowed
+     * @return heldUntil End of the review window, zero if never held
+     */
+    function getHeldPledge(
+        uint256 roundId,
+        address pledger
+    ) external view returns (uint256 tokenAAmount, uint256 heldUntil) {
+        HeldPledge memory pledge = s_heldPledges[roundId][pledger];
+        return (pledge.tokenAAmount, pledge.heldUntil);
+    }
+
+    function getAirdrop() external view returns (address) {
+        return address(i_airdrop);
+    }
+
+    function getEscrowAddress() external view returns (address) {
+        return s_escrowAddress;
+    }
+
+    function getReviewWindow() external view returns (uint256) {
+        return s_reviewWindow;
+    }
+
+    function getHeldTokenA() external view returns (uint256) {
+        return s_heldTokenA;
+    }
+}
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Airdrop.sol";
+
+error ReferralRewardPool__InvalidAddress();
+error ReferralRewardPool__InvalidAmount();
+error ReferralRewardPool__RoundNotCompleted();
+error ReferralRewardPool__NothingToClaim();
+
+/**
+ * @title ReferralRewardPool
+ * @dev Pays referrers of an Airdrop a share of the TokenB their referred
+ * pledges earn, out of the TokenB funded into this contract. Airdrop records
+ * the TokenA pledged through each referrer with pledgeFor; once a round is
+ * completed, a referrer is owed `rewardRate` basis points of what that TokenA
+ * converts to at the round's scaling ratio. Credit for a pledge that is held
+ * or refunded during distribution is only taken off when the batch or the
+ * refund reaches it, so rewards wait for the round to complete. Rewards are
+ * paid while the pool lasts, and whatever a short pool could not pay stays
+ * claimable after a top-up.
+ */
+contract ReferralRewardPool is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /* State Variables */
+    Airdrop private immutable i_airdrop;
+    IERC20 private immutable i_tokenB;
+    uint256 private immutable i_rewardRate; // basis points of referred TokenB
+
+    mapping(uint256 => mapping(address => uint256)) private s_claimed;
+
+    /* Constants */
+    uint256 private constant BASIS_POINTS = 10000;
+
+    /* Events */
+    event ReferralRewardClaimed(
+        uint256 indexed roundId,
+        address indexed referrer,
+        uint256 amount
+    );
+    event PoolWithdrawn(address indexed recipient, uint256 amount);
+
+    /**
+     * @param airdrop Airdrop whose referrals are rewarded
+     * @param tokenB The Airdrop's TokenB, in which rewards are paid
+     * @param rewardRate Share of referred TokenB paid out, in basis points
+     */
+    constructor(
+        Airdrop airdrop,
+        IERC20 tokenB,
+        uint256 rewardRate
+    ) Ownable(msg.sender) {
+        if (address(airdrop) == address(0) || address(tokenB) == address(0))
+            revert ReferralRewardPool__InvalidAddress();
+        if (rewardRate == 0 || rewardRate > BASIS_POINTS)
+            revert ReferralRewardPool__InvalidAmount();
+
+        i_airdrop = airdrop;
+        i_tokenB = tokenB;
+        i_rewardRate = rewardRate;
+    }
+
+    /**
+     * @dev Pays the caller's outstanding reward for a completed round, capped
+     * by the pool's balance
+     * @param roundId Airdrop round the referred pledges were made in
+     */
+    function claim(uint256 roundId) external nonReentrant {
+        if (i_airdrop.isBlacklisted(msg.sender))
+            revert ReferralRewardPool__InvalidAddress();
+
+        uint256 amount = getClaimableReward(roundId, msg.sender);
+        uint256 balance = i_tokenB.balanceOf(address(this));
+        if (amount > balance) amount = balance;
+        if (amount == 0) revert ReferralRewardPool__NothingToClaim();
+
+        s_claimed[roundId][msg.sender] += amount;
+
+        i_tokenB.safeTransfer(msg.sender, amount);
+        emit ReferralRewardClaimed(roundId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Takes TokenB back out of the pool, e.g. once referrers have claimed
+     */
+    function withdraw(address recipient, uint256 amount) external onlyOwner {
+        if (recipient == address(0))
+            revert ReferralRewardPool__InvalidAddress();
+
+        i_tokenB.safeTransfer(recipient, amount);
+        emit PoolWithdrawn(recipient, amount);
+    }
+
+    /* Internal Functions */
+
+    /**
+     * @dev Earlier rounds are always completed, the current one once its
+     * last batch has run
+     */
+    function _isCompleted(uint256 roundId) internal view returns (bool) {
+        uint256 currentRound = i_airdrop.getCurrentRound();
+        return
+            roundId < currentRound ||
+            (roundId == currentRound &&
+                i_airdrop.getCurrentPhase() == Airdrop.AirdropPhase.COMPLETED);
+    }
+
+    /* Getter Functions */
+
+    /**
+     * @dev Total reward a referrer earned in a completed round, claimed or not
+     */
+    function getReward(
+        uint256 roundId,
+        address referrer
+    ) public view returns (uint256) {
+        if (!_isCompleted(roundId))
+            revert ReferralRewardPool__RoundNotCompleted();
+
+        uint256 scalingRatio = i_airdrop.getScalingRatio(roundId);
+        uint256 referredTokenB = i_airdrop.calculateTokenBAmount(
+            i_airdrop.getReferredAmount(roundId, referrer)
+        );
+        return
+            Math.mulDiv(
+                referredTokenB,
+                scalingRatio * i_rewardRate,
+                BASIS_POINTS * BASIS_POINTS
+            );
+    }
+
+    function getClaimableReward(
+        uint256 roundId,
+        address referrer
+    ) public view returns (uint256) {
+        return getReward(roundId, referrer) - s_claimed[roundId][referrer];
+    }
+
+    function getClaimed(
+        uint256 roundId,
+        address referrer
+    ) external view returns (uint256) {
+        return s_claimed[roundId][referrer];
+    }
+
+    function getAirdrop() external view returns (address) {
+        return address(i_airdrop);
+    }
+
+    function getTokenB() external view returns (address) {
+        return address(i_tokenB);
+    }
+
+    function getRewardRate() external view returns (uint256) {
+        return i_rewardRate;
+    }
+}
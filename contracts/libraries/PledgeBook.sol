@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../Airdrop.sol";
+
+/**
+ * @title PledgeBook
+ * @dev Pledger, deposit and referral bookkeeping of an Airdrop round. The
+ * functions are external, so Airdrop links against one deployed copy instead
+ * of carrying the code itself, which keeps it under the contract size limit.
+ */
+library PledgeBook {
+    /**
+     * @dev Books a deposit of `amount`, worth `weightedAmount` with the
+     * early-bird bonus, into a pledge and the round's totals, and credits
+     * `referrer` with it. A first deposit adds the pledger to the round.
+     */
+    function addDeposit(
+        Airdrop.Round storage round,
+        address pledger,
+        uint256 amount,
+        uint256 weightedAmount,
+        address referrer
+    ) external {
+        Airdrop.UserPledge storage pledge = round.userPledges[pledger];
+        if (pledge.tokenAAmount == 0) {
+            round.pledgers.push(pledger);
+            round.pledgerIndex[pledger] = round.pledgers.length;
+        }
+
+        pledge.tokenAAmount += amount;
+        pledge.weightedAmount += weightedAmount;
+        pledge.timestamp = block.timestamp;
+        round.totalTokenAPledged += amount;
+        round.totalWeightedPledged += weightedAmount;
+        round.deposits[pledger].push(
+            Airdrop.Deposit(amount, weightedAmount, block.timestamp, referrer)
+        );
+
+        if (referrer != address(0)) round.referredTokenA[referrer] += amount;
+    }
+
+    /**
+     * @dev Takes `amount` off a pledger's deposits, latest first, so the
+     * deposits that earned the largest bonus are kept, and out of the round's
+     * totals. Referrers lose credit for whatever is taken off the deposits
+     * they referred.
+     * @return weightedAmount Weighted amount removed along with it
+     */
+    function withdrawDeposits(
+        Airdrop.Round storage round,
+        address pledger,
+        uint256 amount
+    ) external returns (uint256 weightedAmount) {
+        round.totalTokenAPledged -= amount;
+        Airdrop.Deposit[] storage deposits = round.deposits[pledger];
+        while (amount != 0) {
+            Airdrop.Deposit storage last = deposits[deposits.length - 1];
+            uint256 removed = amount < last.amount ? amount : last.amount;
+            if (last.referrer != address(0))
+                round.referredTokenA[last.referrer] -= removed;
+
+            if (removed < last.amount) {
+                uint256 weighted = Math.mulDiv(
+                    last.weightedAmount,
+                    removed,
+                    last.amount
+                );
+                last.amount -= removed;
+                last.weightedAmount -= weighted;
+                weightedAmount += weighted;
+                break;
+            }
+            amount -= removed;
+            weightedAmount += last.weightedAmount;
+            deposits.pop();
+        }
+        round.totalWeightedPledged -= weightedAmount;
+    }
+
+    /**
+     * @dev Takes a pledge out of the round's totals while its pledger is
+     * blacklisted, or puts it back once they are cleared
+     */
+    function setExcluded(
+        Airdrop.Round storage round,
+        address pledger,
+        bool excluded
+    ) external {
+        Airdrop.UserPledge storage pledge = round.userPledges[pledger];
+        pledge.excluded = excluded;
+        if (excluded) {
+            round.totalTokenAPledged -= pledge.tokenAAmount;
+            round.totalWeightedPledged -= pledge.weightedAmount;
+        } else {
+            round.totalTokenAPledged += pledge.tokenAAmount;
+            round.totalWeightedPledged += pledge.weightedAmount;
+        }
+        creditReferrers(round, pledger, !excluded);
+    }
+
+    /**
+     * @dev Takes the referral credit of all of a pledger's deposits off their
+     * referrers when the pledge leaves the scaling ratio, or puts it back
+     * when the pledge is reinstated
+     */
+    function creditReferrers(
+        Airdrop.Round storage round,
+        address pledger,
+        bool credit
+    ) public {
+        Airdrop.Deposit[] storage deposits = round.deposits[pledger];
+        for (uint256 i = 0; i < deposits.length; i++) {
+            address referrer = deposits[i].referrer;
+            if (referrer == address(0)) continue;
+            if (credit) round.referredTokenA[referrer] += deposits[i].amount;
+            else round.referredTokenA[referrer] -= deposits[i].amount;
+        }
+    }
+
+    /**
+     * @dev Swap-and-pop removal from a round's pledgers. Only safe while
+     * pledging, before processPledgeBatch starts walking the array.
+     */
+    function removePledger(
+        Airdrop.Round storage round,
+        address pledger
+    ) external {
+        uint256 index = round.pledgerIndex[pledger] - 1;
+        uint256 lastIndex = round.pledgers.length - 1;
+        if (index != lastIndex) {
+            address lastPledger = round.pledgers[lastIndex];
+            round.pledgers[index] = lastPledger;
+            round.pledgerIndex[lastPledger] = index + 1;
+        }
+        round.pledgers.pop();
+        delete round.pledgerIndex[pledger];
+    }
+}
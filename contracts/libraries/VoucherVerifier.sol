@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "../Airdrop.sol";
+
+/**
+ * @title VoucherVerifier
+ * @dev Recovers the signer of an Airdrop's EIP-712 pledge vouchers. Linked
+ * rather than inlined, like PledgeBook, to keep Airdrop under the contract
+ * size limit.
+ */
+library VoucherVerifier {
+    bytes32 private constant VOUCHER_TYPEHASH =
+        keccak256(
+            "PledgeVoucher(address user,uint256 maxPledge,uint8 tier,uint256 expiry)"
+        );
+
+    /**
+     * @param domainSeparator EIP-712 domain separator of the Airdrop
+     * @return signer Address that signed the voucher, or zero for a
+     * malformed signature, which the Airdrop then rejects as invalid
+     */
+    function recoverSigner(
+        Airdrop.PledgeVoucher calldata voucher,
+        bytes calldata signature,
+        bytes32 domainSeparator
+    ) external pure returns (address signer) {
+        bytes32 digest = MessageHashUtils.toTypedDataHash(
+            domainSeparator,
+            keccak256(
+                abi.encode(
+                    VOUCHER_TYPEHASH,
+                    voucher.user,
+                    voucher.maxPledge,
+                    voucher.tier,
+                    voucher.expiry
+                )
+            )
+        );
+        (signer, , ) = ECDSA.tryRecover(digest, signature);
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ERC20Mock.sol";
+
+/**
+ * @dev ERC20Mock that burns a fee, in basis points, from every transfer
+ * between two accounts. Mints and burns are not charged.
+ */
+contract FeeOnTransferMock is ERC20Mock {
+    uint256 public feeBasisPoints;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 feeBasisPoints_
+    ) ERC20Mock(name, symbol, decimals_) {
+        feeBasisPoints = feeBasisPoints_;
+    }
+
+    function setFee(uint256 feeBasisPoints_) external onlyOwner {
+        feeBasisPoints = feeBasisPoints_;
+    }
+
+    function _update(
+        address from,
+        address to,
+        uint256 value
+    ) internal virtual override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+        uint256 fee = (value * feeBasisPoints) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
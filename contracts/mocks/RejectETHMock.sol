@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../Airdrop.sol";
+
+/**
+ * @dev Pledger contract that refuses plain ETH transfers
+ */
+contract RejectETHMock {
+    function pledgeETH(
+        Airdrop airdrop,
+        uint256 minScalingRatio
+    ) external payable {
+        airdrop.pledgeETH{value: msg.value}(minScalingRatio);
+    }
+
+    receive() external payable {
+        revert("RejectETHMock: ETH not accepted");
+    }
+}
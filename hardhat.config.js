@@ -1,6 +1,23 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/deploy-airdrop");
+require("./tasks/deploy-factory");
+require("./tasks/mock-keeper");
+require("./tasks/export-pledgers");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.27",
+  solidity: {
+    version: "0.8.27",
+    settings: {
+      // Airdrop only fits the 24KB contract size limit through the IR
+      // optimizer, with its bookkeeping in linked libraries
+      viaIR: true,
+      // AirdropFactory copies Airdrop's creation code with mcopy
+      evmVersion: "cancun",
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
 };
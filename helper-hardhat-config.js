@@ -1,25 +1,53 @@
-const networkConfig = {
-    default: {
-        name: "hardhat",
-        keepersUpdateInterval: "30",
-    },
-    31337: {
-        name: "localhost",
-        keepersUpdateInterval: "30",
-    },
-    11155111: {
-        name: "sepolia",
-        keepersUpdateInterval: "30",
-    },
-    1: {
-        name: "mainnet",
-        keepersUpdateInterval: "30",
-    }
-}
-
-const developmentChains = ["hardhat", "localhost"]
-
-module.exports = {
-    networkConfig,
-    developmentChains,
-}
\ No newline at end of file
+const networkConfig = {
+    default: {
+        name: "hardhat",
+        keepersUpdateInterval: "30",
+        conversionRatio: "5000",
+        tokenBMaxCap: "1000000000000000000000000",
+        minPledgeAmount: "100000000000000000000",
+        pledgeDuration: "604800",
+        vestingCliff: "0",
+        vestingDuration: "0",
+    },
+    31337: {
+        name: "localhost",
+        keepersUpdateInterval: "30",
+        conversionRatio: "5000",
+        tokenBMaxCap: "1000000000000000000000000",
+        minPledgeAmount: "100000000000000000000",
+        pledgeDuration: "604800",
+        vestingCliff: "0",
+        vestingDuration: "0",
+    },
+    11155111: {
+        name: "sepolia",
+        keepersUpdateInterval: "30",
+        tokenA: "",
+        tokenB: "",
+        conversionRatio: "5000",
+        tokenBMaxCap: "1000000000000000000000000",
+        minPledgeAmount: "100000000000000000000",
+        pledgeDuration: "604800",
+        vestingCliff: "0",
+        vestingDuration: "0",
+    },
+    1: {
+        name: "mainnet",
+        keepersUpdateInterval: "30",
+        tokenA: "",
+        tokenB: "",
+        conversionRatio: "5000",
+        tokenBMaxCap: "1000000000000000000000000",
+        minPledgeAmount: "100000000000000000000",
+        pledgeDuration: "604800",
+        vestingCliff: "0",
+        vestingDuration: "0",
+    }
+}
+
+const developmentChains = ["hardhat", "localhost"]
+
+module.exports = {
+    networkConfig,
+    developmentChains,
+}
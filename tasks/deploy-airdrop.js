@@ -0,0 +1,219 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const {
+  networkConfig,
+  developmentChains,
+} = require("../helper-hardhat-config");
+const { deployAirdropLibraries } = require("../utils/libraries");
+
+const MAX_CONVERSION_RATIO = 10n ** 18n;
+const MAX_VESTING_CLIFF = 365n * 24n * 60n * 60n;
+const MAX_VESTING_DURATION = 4n * MAX_VESTING_CLIFF;
+
+/**
+ * @dev Resolves the constructor arguments for the current network.
+ * CLI params take precedence over the per-chain entry in networkConfig.
+ */
+function resolveParams(taskArgs, chainId) {
+  const config = networkConfig[chainId] || networkConfig.default;
+  const pick = (key) =>
+    taskArgs[key] !== undefined ? taskArgs[key] : config[key];
+
+  return {
+    tokenA: pick("tokenA"),
+    tokenB: pick("tokenB"),
+    conversionRatio: pick("conversionRatio"),
+    tokenBMaxCap: pick("tokenBMaxCap"),
+    minPledgeAmount: pick("minPledgeAmount"),
+    pledgeDuration: pick("pledgeDuration"),
+    vestingCliff: pick("vestingCliff") || "0",
+    vestingDuration: pick("vestingDuration") || "0",
+  };
+}
+
+function toBigInt(name, value) {
+  if (value === undefined || value === "") {
+    throw new Error(`Missing ${name}`);
+  }
+  try {
+    return BigInt(value);
+  } catch (e) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+}
+
+/**
+ * @dev Mirrors the Airdrop constructor and setVestingSchedule revert rules so
+ * that a bad configuration is rejected before any transaction is sent.
+ */
+async function validateParams(ethers, params) {
+  for (const key of ["tokenA", "tokenB"]) {
+    if (!params[key] || !ethers.isAddress(params[key])) {
+      throw new Error(`Invalid ${key} address: ${params[key]}`);
+    }
+    if (params[key] === ethers.ZeroAddress) {
+      throw new Error(`${key} cannot be the zero address`);
+    }
+  }
+
+  const conversionRatio = toBigInt("conversionRatio", params.conversionRatio);
+  const tokenBMaxCap = toBigInt("tokenBMaxCap", params.tokenBMaxCap);
+  const minPledgeAmount = toBigInt("minPledgeAmount", params.minPledgeAmount);
+  const pledgeDuration = toBigInt("pledgeDuration", params.pledgeDuration);
+  const vestingCliff = toBigInt("vestingCliff", params.vestingCliff);
+  const vestingDuration = toBigInt("vestingDuration", params.vestingDuration);
+
+  if (conversionRatio === 0n || conversionRatio > MAX_CONVERSION_RATIO) {
+    throw new Error(
+      `conversionRatio must be between 1 and ${MAX_CONVERSION_RATIO}`
+    );
+  }
+  if (minPledgeAmount === 0n) {
+    throw new Error("minPledgeAmount must be greater than zero");
+  }
+  if (pledgeDuration === 0n) {
+    throw new Error("pledgeDuration must be greater than zero");
+  }
+  if (vestingCliff > MAX_VESTING_CLIFF) {
+    throw new Error(`vestingCliff must be at most ${MAX_VESTING_CLIFF}`);
+  }
+  if (vestingDuration > MAX_VESTING_DURATION) {
+    throw new Error(`vestingDuration must be at most ${MAX_VESTING_DURATION}`);
+  }
+
+  // The constructor reads decimals() from both tokens, so make sure it exists
+  for (const key of ["tokenA", "tokenB"]) {
+    const token = await ethers.getContractAt("IERC20Metadata", params[key]);
+    try {
+      await token.decimals();
+    } catch (e) {
+      throw new Error(`${key} does not implement decimals(): ${params[key]}`);
+    }
+  }
+
+  return {
+    tokenA: params.tokenA,
+    tokenB: params.tokenB,
+    conversionRatio,
+    tokenBMaxCap,
+    minPledgeAmount,
+    pledgeDuration,
+    vestingCliff,
+    vestingDuration,
+  };
+}
+
+task("deploy-airdrop", "Deploys the Airdrop contract")
+  .addOptionalParam("tokenA", "Address of the pledged token")
+  .addOptionalParam("tokenB", "Address of the distributed token")
+  .addOptionalParam("conversionRatio", "TokenB per TokenA in basis points")
+  .addOptionalParam("tokenBMaxCap", "Maximum TokenB to distribute")
+  .addOptionalParam("minPledgeAmount", "Minimum TokenA per pledge")
+  .addOptionalParam("pledgeDuration", "Length of the pledge phase in seconds")
+  .addOptionalParam(
+    "vestingCliff",
+    "Seconds before distributed TokenB starts vesting"
+  )
+  .addOptionalParam(
+    "vestingDuration",
+    "Seconds over which TokenB vests after the cliff"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const { ethers, network } = hre;
+    const [deployer] = await ethers.getSigners();
+    const chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const isDevelopmentChain = developmentChains.includes(network.name);
+
+    const params = resolveParams(taskArgs, chainId);
+    let mockTokens = false;
+
+    if (isDevelopmentChain && (!params.tokenA || !params.tokenB)) {
+      console.log("Development chain detected, deploying mock tokens...");
+      const TokenMock = await ethers.getContractFactory("ERC20Mock");
+      if (!params.tokenA) {
+        const tokenA = await TokenMock.deploy("Token A", "TKA", 18);
+        await tokenA.waitForDeployment();
+        params.tokenA = await tokenA.getAddress();
+      }
+      if (!params.tokenB) {
+        const tokenB = await TokenMock.deploy("Token B", "TKB", 18);
+        await tokenB.waitForDeployment();
+        params.tokenB = await tokenB.getAddress();
+      }
+      mockTokens = true;
+    }
+
+    const args = await validateParams(ethers, params);
+
+    console.log(`Deploying Airdrop to ${network.name}...`);
+    const libraries = await deployAirdropLibraries(ethers);
+    const Airdrop = await ethers.getContractFactory("Airdrop", { libraries });
+    const airdrop = await Airdrop.deploy(
+      args.tokenA,
+      args.tokenB,
+      args.conversionRatio,
+      args.tokenBMaxCap,
+      args.minPledgeAmount,
+      args.pledgeDuration
+    );
+    await airdrop.waitForDeployment();
+    const airdropAddress = await airdrop.getAddress();
+    const receipt = await airdrop.deploymentTransaction().wait();
+    console.log(`Airdrop deployed at ${airdropAddress}`);
+
+    // Paged and derived views are served by a separate, stateless lens
+    const AirdropLens = await ethers.getContractFactory("AirdropLens");
+    const lens = await AirdropLens.deploy();
+    await lens.waitForDeployment();
+    const lensAddress = await lens.getAddress();
+    console.log(`AirdropLens deployed at ${lensAddress}`);
+
+    if (args.vestingCliff !== 0n || args.vestingDuration !== 0n) {
+      await (
+        await airdrop.setVestingSchedule(
+          args.vestingCliff,
+          args.vestingDuration
+        )
+      ).wait();
+      console.log(
+        `Vesting set: ${args.vestingCliff}s cliff, ${args.vestingDuration}s duration`
+      );
+    }
+
+    // Mock TokenB is ours to mint, so fund the full cap up front
+    if (mockTokens) {
+      const tokenB = await ethers.getContractAt("ERC20Mock", args.tokenB);
+      if ((await tokenB.owner()) === deployer.address) {
+        await (await tokenB.mint(airdropAddress, args.tokenBMaxCap)).wait();
+      }
+    }
+
+    const deployment = {
+      network: network.name,
+      chainId,
+      deployer: deployer.address,
+      blockNumber: receipt.blockNumber,
+      airdrop: airdropAddress,
+      lens: lensAddress,
+      libraries,
+      tokenA: args.tokenA,
+      tokenB: args.tokenB,
+      conversionRatio: args.conversionRatio.toString(),
+      tokenBMaxCap: args.tokenBMaxCap.toString(),
+      minPledgeAmount: args.minPledgeAmount.toString(),
+      pledgeDuration: args.pledgeDuration.toString(),
+      vestingCliff: args.vestingCliff.toString(),
+      vestingDuration: args.vestingDuration.toString(),
+    };
+
+    const deploymentsDir = path.join(hre.config.paths.root, "deployments");
+    fs.mkdirSync(deploymentsDir, { recursive: true });
+    const outFile = path.join(deploymentsDir, `${network.name}.json`);
+    fs.writeFileSync(outFile, JSON.stringify(deployment, null, 2));
+    console.log(`Deployment saved to ${outFile}`);
+
+    return deployment;
+  });
+
+module.exports = { resolveParams, validateParams };
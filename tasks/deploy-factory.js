@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { deployAirdropLibraries } = require("../utils/libraries");
+
+task(
+  "deploy-factory",
+  "Deploys the AirdropFactory with the compiled Airdrop code"
+).setAction(async (taskArgs, hre) => {
+  const { ethers, network } = hre;
+  const [deployer] = await ethers.getSigners();
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  console.log(`Deploying AirdropFactory to ${network.name}...`);
+  // The factory deploys every campaign from the code it is given here, with
+  // the addresses of these libraries linked in
+  const libraries = await deployAirdropLibraries(ethers);
+  const Airdrop = await ethers.getContractFactory("Airdrop", { libraries });
+  const AirdropFactory = await ethers.getContractFactory("AirdropFactory");
+
+  const factory = await AirdropFactory.deploy(Airdrop.bytecode);
+  await factory.waitForDeployment();
+  const factoryAddress = await factory.getAddress();
+  const receipt = await factory.deploymentTransaction().wait();
+  console.log(`AirdropFactory deployed at ${factoryAddress}`);
+
+  // One lens serves every campaign the factory creates
+  const AirdropLens = await ethers.getContractFactory("AirdropLens");
+  const lens = await AirdropLens.deploy();
+  await lens.waitForDeployment();
+  const lensAddress = await lens.getAddress();
+  console.log(`AirdropLens deployed at ${lensAddress}`);
+
+  const deployment = {
+    network: network.name,
+    chainId,
+    deployer: deployer.address,
+    blockNumber: receipt.blockNumber,
+    factory: factoryAddress,
+    lens: lensAddress,
+    libraries,
+    airdropCodeHash: await factory.getAirdropCodeHash(),
+  };
+
+  const deploymentsDir = path.join(hre.config.paths.root, "deployments");
+  fs.mkdirSync(deploymentsDir, { recursive: true });
+  const outFile = path.join(deploymentsDir, `${network.name}-factory.json`);
+  fs.writeFileSync(outFile, JSON.stringify(deployment, null, 2));
+  console.log(`Deployment saved to ${outFile}`);
+
+  return deployment;
+});
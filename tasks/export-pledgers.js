@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { fetchPledgerSnapshot, toCsv } = require("../utils/snapshot");
+
+task("export-pledgers", "Exports a snapshot of a round's pledgers")
+  .addOptionalParam(
+    "airdrop",
+    "Airdrop address, defaults to deployments/<network>.json"
+  )
+  .addOptionalParam("round", "Round to export, defaults to the current one")
+  .addOptionalParam("format", "csv or json", "csv")
+  .addOptionalParam("pageSize", "Pledgers fetched per call", 100, types.int)
+  .addOptionalParam(
+    "out",
+    "Output file, defaults to snapshots/<network>-round-<id>.<format>"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const { ethers, network } = hre;
+    if (!["csv", "json"].includes(taskArgs.format)) {
+      throw new Error(`Unsupported format: ${taskArgs.format}`);
+    }
+
+    let address = taskArgs.airdrop;
+    if (!address) {
+      const file = path.join(
+        hre.config.paths.root,
+        "deployments",
+        `${network.name}.json`
+      );
+      if (!fs.existsSync(file)) {
+        throw new Error(
+          `No deployment found at ${file}, pass --airdrop or run deploy-airdrop first`
+        );
+      }
+      address = JSON.parse(fs.readFileSync(file, "utf8")).airdrop;
+    }
+
+    const airdrop = await ethers.getContractAt("Airdrop", address);
+    const { roundId, rows } = await fetchPledgerSnapshot(
+      airdrop,
+      taskArgs.round,
+      taskArgs.pageSize
+    );
+
+    const content =
+      taskArgs.format === "csv"
+        ? toCsv(rows)
+        : JSON.stringify(
+            {
+              network: network.name,
+              airdrop: address,
+              roundId,
+              blockNumber: await ethers.provider.getBlockNumber(),
+              phase: Number(await airdrop.getCurrentPhase()),
+              pledgers: rows,
+            },
+            null,
+            2
+          );
+
+    const outFile =
+      taskArgs.out ||
+      path.join(
+        hre.config.paths.root,
+        "snapshots",
+        `${network.name}-round-${roundId}.${taskArgs.format}`
+      );
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, content);
+    console.log(`Exported ${rows.length} pledgers to ${outFile}`);
+
+    return outFile;
+  });
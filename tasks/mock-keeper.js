@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  networkConfig,
+  developmentChains,
+} = require("../helper-hardhat-config");
+
+const PHASES = ["PLEDGE", "DISTRIBUTION", "COMPLETED"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @dev Reads the Airdrop address recorded by deploy-airdrop for a network
+ */
+function loadAirdropAddress(root, networkName) {
+  const file = path.join(root, "deployments", `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No deployment found at ${file}, pass --airdrop or run deploy-airdrop first`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).airdrop;
+}
+
+/**
+ * @dev Earliest timestamp at which the pledge phase can be finalized
+ */
+async function nextFinalizeTime(airdrop) {
+  const deadline = await airdrop["getPledgeDeadline()"]();
+  const transitionReady =
+    (await airdrop.getLastPhaseTransition()) +
+    (await airdrop.getMinPhaseTransitionTime());
+  return deadline + 1n > transitionReady ? deadline + 1n : transitionReady;
+}
+
+task(
+  "mock-keeper",
+  "Polls checkUpkeep and calls performUpkeep like Chainlink Automation would"
+)
+  .addOptionalParam(
+    "airdrop",
+    "Airdrop address, defaults to deployments/<network>.json"
+  )
+  .addOptionalParam(
+    "interval",
+    "Seconds between checks, defaults to keepersUpdateInterval",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "maxUpkeeps",
+    "Stop after this many upkeeps, 0 to run until COMPLETED",
+    0,
+    types.int
+  )
+  .addFlag(
+    "fastForward",
+    "Development chains only: jump the chain clock to the finalize time instead of waiting for it"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const { ethers, network } = hre;
+    const chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const config = networkConfig[chainId] || networkConfig.default;
+    const interval =
+      taskArgs.interval !== undefined
+        ? taskArgs.interval
+        : Number(config.keepersUpdateInterval);
+
+    if (taskArgs.fastForward && !developmentChains.includes(network.name)) {
+      throw new Error("--fast-forward only works on development chains");
+    }
+
+    const address =
+      taskArgs.airdrop ||
+      loadAirdropAddress(hre.config.paths.root, network.name);
+    const airdrop = await ethers.getContractAt("Airdrop", address);
+    const [keeper] = await ethers.getSigners();
+    if (!(await airdrop.hasRole(await airdrop.KEEPER_ROLE(), keeper.address))) {
+      throw new Error(`${keeper.address} does not hold KEEPER_ROLE`);
+    }
+    console.log(`Watching Airdrop at ${address} every ${interval}s...`);
+
+    let upkeeps = 0;
+    for (;;) {
+      const phase = Number(await airdrop.getCurrentPhase());
+      if (PHASES[phase] === "COMPLETED") {
+        console.log("Distribution completed");
+        break;
+      }
+
+      const [upkeepNeeded, performData] = await airdrop.checkUpkeep("0x");
+      if (upkeepNeeded) {
+        const receipt = await (await airdrop.performUpkeep(performData)).wait();
+        upkeeps++;
+        const newPhase = Number(await airdrop.getCurrentPhase());
+        const processed = await airdrop["getLastProcessedIndex()"]();
+        const pledgers = await airdrop["getPledgersCount()"]();
+        console.log(
+          `Upkeep ${upkeeps} in block ${receipt.blockNumber}: ` +
+            `${PHASES[phase]} -> ${PHASES[newPhase]}, ` +
+            `${processed}/${pledgers} pledges processed`
+        );
+        if (taskArgs.maxUpkeeps > 0 && upkeeps >= taskArgs.maxUpkeeps) break;
+        continue;
+      }
+
+      if (taskArgs.fastForward && PHASES[phase] === "PLEDGE") {
+        const due = await nextFinalizeTime(airdrop);
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        if (due > BigInt(timestamp)) {
+          console.log(`Fast-forwarding the chain clock to ${due}`);
+          await network.provider.send("evm_setNextBlockTimestamp", [
+            Number(due),
+          ]);
+          await network.provider.send("evm_mine");
+          continue;
+        }
+      }
+
+      await sleep(interval * 1000);
+    }
+
+    return upkeeps;
+  });
+
+module.exports = { nextFinalizeTime };
@@ -1,11 +1,34 @@
 const { assert, expect } = require("chai");
 const { network, deployments, ethers } = require("hardhat");
 const { developmentChains } = require("../../helper-hardhat-config");
+const {
+  time,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  buildMerkleTree,
+  buildAllocationsFromEvents,
+  verifyProof,
+} = require("../../utils/merkle");
+const {
+  signVoucher,
+  getVoucherDomain,
+  recoverVoucherSigner,
+} = require("../../utils/voucher");
+const {
+  SNAPSHOT_COLUMNS,
+  fetchPledgerSnapshot,
+  toCsv,
+} = require("../../utils/snapshot");
+const { deployAirdropLibraries } = require("../../utils/libraries");
 
 !developmentChains.includes(network.name)
   ? describe.skip
   : describe("Airdrop Unit Tests", function () {
       let airdrop,
+        lens,
+        libraries,
         tokenA,
         tokenB,
         owner,
@@ -21,6 +44,38 @@ const { developmentChains } = require("../../helper-hardhat-config");
       const MIN_PLEDGE_AMOUNT = ethers.parseEther("100");
       const PLEDGE_DURATION = 7 * 24 * 60 * 60; // 7 days
       const BASIS_POINTS = 10000;
+      const CONFIG_DELAY = 24 * 60 * 60; // 1 day
+      const ConfigParam = {
+        MAX_PLEDGE_PER_USER: 0,
+        COOLDOWN_PERIOD: 1,
+        MIN_PHASE_TRANSITION_TIME: 2,
+        MIN_DUST_AMOUNT: 3,
+        CONFIG_DELAY: 4,
+        EARLY_BIRD_BONUS: 5,
+      };
+      const CONFIG_SETTERS = {
+        setMaxPledgePerUser: ConfigParam.MAX_PLEDGE_PER_USER,
+        setCooldownPeriod: ConfigParam.COOLDOWN_PERIOD,
+        setMinPhaseTransitionTime: ConfigParam.MIN_PHASE_TRANSITION_TIME,
+        setMinDustAmount: ConfigParam.MIN_DUST_AMOUNT,
+        setConfigDelay: ConfigParam.CONFIG_DELAY,
+        setEarlyBirdBonus: ConfigParam.EARLY_BIRD_BONUS,
+      };
+
+      // Config setters only queue a change, so wait out the delay and apply it
+      const applyConfigChange = async (setter, value) => {
+        await airdrop[setter](value);
+        await time.increase(CONFIG_DELAY);
+        await airdrop.executeConfigChange(CONFIG_SETTERS[setter]);
+      };
+
+      // Finalization is only allowed once the pledge deadline has passed
+      const passPledgeDeadline = async () => {
+        const deadline = await airdrop["getPledgeDeadline()"]();
+        if (BigInt(await time.latest()) <= deadline) {
+          await time.increaseTo(deadline + 1n);
+        }
+      };
 
       beforeEach(async () => {
         accounts = await ethers.getSigners();
@@ -38,8 +93,11 @@ const { developmentChains } = require("../../helper-hardhat-config");
         tokenA = await TokenMock.deploy("Token A", "TKA", 18);
         tokenB = await TokenMock.deploy("Token B", "TKB", 18);
 
-        // Deploy Airdrop contract
-        const Airdrop = await ethers.getContractFactory("Airdrop");
+        // Deploy Airdrop contract, linked to its libraries
+        libraries = await deployAirdropLibraries(ethers);
+        const Airdrop = await ethers.getContractFactory("Airdrop", {
+          libraries,
+        });
         airdrop = await Airdrop.deploy(
           await tokenA.getAddress(),
           await tokenB.getAddress(),
@@ -48,6 +106,8 @@ const { developmentChains } = require("../../helper-hardhat-config");
           MIN_PLEDGE_AMOUNT,
           PLEDGE_DURATION
         );
+        const AirdropLens = await ethers.getContractFactory("AirdropLens");
+        lens = await AirdropLens.deploy();
 
         // Mint tokens to users and approve airdrop contract
         await tokenA.mint(user1.address, ethers.parseEther("10000"));
@@ -93,6 +153,23 @@ const { developmentChains } = require("../../helper-hardhat-config");
           assert.equal(await airdrop.getTotalPledged(), pledgeAmount);
         });
 
+        it("returns the pledge as a tuple and the full record separately", async () => {
+          const pledgeAmount = ethers.parseEther("1000");
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+
+          const userPledge = await airdrop.getUserPledge(user1.address);
+          assert.equal(userPledge.length, 4);
+          const record = await airdrop.getPledgeRecord(user1.address);
+          assert.equal(record.tokenAAmount, userPledge.tokenAAmount);
+          assert.equal(record.timestamp, userPledge.timestamp);
+          assert.equal(record.weightedAmount, pledgeAmount);
+          assert.equal(record.excluded, false);
+          assert.deepEqual(
+            await airdrop["getPledgeRecord(uint256,address)"](1, user1.address),
+            record
+          );
+        });
+
         it("reverts when phase is not PLEDGE", async () => {
           await airdrop
             .connect(user1)
@@ -107,6 +184,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
             Number(minPhaseTime),
           ]);
           await network.provider.send("evm_mine");
+          await passPledgeDeadline();
           await airdrop.finalizePledgePhase();
 
           await expect(
@@ -129,7 +207,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
         it("sets correct scaling ratio when total required exceeds max cap", async () => {
           // First update the max pledge per user to allow larger pledges
           const newMaxPledge = ethers.parseEther("5000000");
-          await airdrop.setMaxPledgePerUser(newMaxPledge);
+          await applyConfigChange("setMaxPledgePerUser", newMaxPledge);
 
           // Calculate pledge amount to exceed max cap based on conversion ratio
           // TOKEN_B_MAX_CAP is 1,000,000 tokens and conversion ratio is 0.5 (5000 basis points)
@@ -169,6 +247,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           );
 
           // Finalize pledge phase
+          await passPledgeDeadline();
           await airdrop.finalizePledgePhase();
 
           // Get actual scaling ratio
@@ -207,6 +286,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
             Number(minPhaseTime),
           ]);
           await network.provider.send("evm_mine");
+          await passPledgeDeadline();
           await airdrop.finalizePledgePhase();
         });
 
@@ -282,19 +362,19 @@ const { developmentChains } = require("../../helper-hardhat-config");
       describe("configuration functions", function () {
         it("updates cooldown period correctly", async () => {
           const newPeriod = 2 * 60 * 60; // 2 hours
-          await airdrop.setCooldownPeriod(newPeriod);
+          await applyConfigChange("setCooldownPeriod", newPeriod);
           assert.equal(await airdrop.getCooldownPeriod(), newPeriod);
         });
 
         it("updates max pledge per user correctly", async () => {
           const newMax = ethers.parseEther("5000");
-          await airdrop.setMaxPledgePerUser(newMax);
+          await applyConfigChange("setMaxPledgePerUser", newMax);
           assert.equal(await airdrop.getMaxPledgePerUser(), newMax);
         });
 
         it("updates min dust amount correctly", async () => {
           const newMin = ethers.parseEther("0.1");
-          await airdrop.setMinDustAmount(newMin);
+          await applyConfigChange("setMinDustAmount", newMin);
           assert.equal(await airdrop.getMinDustAmount(), newMin);
         });
       });
@@ -447,6 +527,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           await network.provider.send("evm_mine");
 
           // Enter distribution phase
+          await passPledgeDeadline();
           await airdrop.finalizePledgePhase();
 
           // Process first batch of 3
@@ -462,7 +543,10 @@ const { developmentChains } = require("../../helper-hardhat-config");
 
         it("calculates token return amounts correctly", async () => {
           // Update max pledge per user
-          await airdrop.setMaxPledgePerUser(ethers.parseEther("5000000"));
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("5000000")
+          );
 
           // Make initial large pledge to force scaling
           const pledgeAmount = ethers.parseEther("3000000");
@@ -485,6 +569,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           await network.provider.send("evm_mine");
 
           // Finalize and process
+          await passPledgeDeadline();
           await airdrop.finalizePledgePhase();
           await airdrop.processPledgeBatch(10);
 
@@ -501,7 +586,10 @@ const { developmentChains } = require("../../helper-hardhat-config");
       describe("Configuration Tests", function () {
         it("updates minimum phase transition time correctly", async () => {
           const newTransitionTime = 48 * 60 * 60; // 48 hours
-          await airdrop.setMinPhaseTransitionTime(newTransitionTime);
+          await applyConfigChange(
+            "setMinPhaseTransitionTime",
+            newTransitionTime
+          );
           assert.equal(
             await airdrop.getMinPhaseTransitionTime(),
             newTransitionTime
@@ -528,7 +616,16 @@ const { developmentChains } = require("../../helper-hardhat-config");
           ]);
           await network.provider.send("evm_mine");
 
+          // The pledge window itself is still open
+          await expect(
+            airdrop.finalizePledgePhase()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__DeadlineNotReached"
+          );
+
           // Should succeed now
+          await passPledgeDeadline();
           await expect(airdrop.finalizePledgePhase()).to.not.be.reverted;
         });
       });
@@ -545,6 +642,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           ]);
           await network.provider.send("evm_mine");
 
+          await passPledgeDeadline();
           await airdrop.finalizePledgePhase();
           await airdrop.processPledgeBatch(10);
 
@@ -573,6 +671,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           ]);
           await network.provider.send("evm_mine");
 
+          await passPledgeDeadline();
           await airdrop.finalizePledgePhase();
           await airdrop.processPledgeBatch(10);
 
@@ -592,7 +691,10 @@ const { developmentChains } = require("../../helper-hardhat-config");
       describe("Calculation Function Tests", function () {
         beforeEach(async () => {
           // Reset max pledge per user to allow larger amounts
-          await airdrop.setMaxPledgePerUser(ethers.parseEther("5000000"));
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("5000000")
+          );
         });
         it("calculates TokenB amount correctly", async () => {
           const tokenAAmount = ethers.parseEther("1000");
@@ -619,6 +721,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
             Number(await airdrop.getMinPhaseTransitionTime()),
           ]);
           await network.provider.send("evm_mine");
+          await passPledgeDeadline();
           await airdrop.finalizePledgePhase();
 
           // Get the actual scaling ratio after finalization
@@ -637,22 +740,30 @@ const { developmentChains } = require("../../helper-hardhat-config");
       });
 
       describe("Edge Cases", function () {
-        it("handles token decimal incompatibility", async () => {
+        it("handles tokens with different decimals", async () => {
           const TokenMock = await ethers.getContractFactory("ERC20Mock");
           const tokenC = await TokenMock.deploy("Token C", "TKC", 6); // Different decimals
 
-          await expect(
-            ethers.deployContract("Airdrop", [
+          const mixedAirdrop = await ethers.deployContract(
+            "Airdrop",
+            [
               await tokenA.getAddress(),
               await tokenC.getAddress(),
               CONVERSION_RATIO,
-              TOKEN_B_MAX_CAP,
+              ethers.parseUnits("1000000", 6),
               MIN_PLEDGE_AMOUNT,
               PLEDGE_DURATION,
-            ])
-          ).to.be.revertedWithCustomError(
-            airdrop,
-            "Airdrop__IncompatibleDecimals"
+            ],
+            { libraries }
+          );
+
+          const [tokenADecimals, tokenBDecimals] =
+            await mixedAirdrop.getTokenDecimals();
+          assert.equal(tokenADecimals, 18);
+          assert.equal(tokenBDecimals, 6);
+          assert.equal(
+            await mixedAirdrop.calculateTokenBAmount(ethers.parseEther("1000")),
+            ethers.parseUnits("500", 6)
           );
         });
 
@@ -681,4 +792,4293 @@ const { developmentChains } = require("../../helper-hardhat-config");
             .reverted;
         });
       });
+
+      describe("Merkle Claim Tests", function () {
+        let pledges;
+
+        beforeEach(async () => {
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("5000000")
+          );
+          pledges = [
+            [user1, ethers.parseEther("1500000")],
+            [user2, ethers.parseEther("1000000")],
+            [user3, ethers.parseEther("500000")],
+          ];
+          for (const [user, amount] of pledges) {
+            await tokenA.mint(user.address, amount);
+            await tokenA
+              .connect(user)
+              .approve(await airdrop.getAddress(), amount);
+            await airdrop.connect(user).pledgeTokens(amount, 0);
+          }
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+        });
+
+        it("only accepts a Merkle root during distribution", async () => {
+          await expect(
+            airdrop.setMerkleRoot(ethers.id("root"))
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__NotInDistributionPhase"
+          );
+
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await expect(
+            airdrop.setMerkleRoot(ethers.ZeroHash)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+          await expect(
+            airdrop.connect(user1).setMerkleRoot(ethers.id("root"))
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+
+          await expect(airdrop.setMerkleRoot(ethers.id("root")))
+            .to.emit(airdrop, "MerkleRootSet")
+            .withArgs(1, ethers.id("root"));
+          assert.equal(await airdrop.getMerkleRoot(), ethers.id("root"));
+        });
+
+        it("reverts claims before a root is committed", async () => {
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await expect(
+            airdrop.connect(user1).claim([])
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__MerkleRootNotSet");
+        });
+
+        it("pays exactly what processPledgeBatch pays", async () => {
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          assert(
+            (await airdrop.getScalingRatio()) < BigInt(BASIS_POINTS),
+            "Scenario should be oversubscribed"
+          );
+          const snapshot = await takeSnapshot();
+
+          await airdrop.processPledgeBatch(10);
+          const batchBalances = [];
+          for (const [user] of pledges) {
+            batchBalances.push([
+              await tokenA.balanceOf(user.address),
+              await tokenB.balanceOf(user.address),
+            ]);
+          }
+
+          await snapshot.restore();
+
+          const allocations = await buildAllocationsFromEvents(airdrop);
+          const { root, claims } = buildMerkleTree(allocations);
+          await airdrop.setMerkleRoot(root);
+
+          for (let i = 0; i < pledges.length; i++) {
+            const [user] = pledges[i];
+            await airdrop.connect(user).claim(claims[user.address].proof);
+            assert.equal(
+              await tokenA.balanceOf(user.address),
+              batchBalances[i][0]
+            );
+            assert.equal(
+              await tokenB.balanceOf(user.address),
+              batchBalances[i][1]
+            );
+            assert.equal(
+              (await airdrop.getUserPledge(user.address)).processed,
+              true
+            );
+          }
+
+          assert.equal(await airdrop.getProcessedCount(), pledges.length);
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+        });
+
+        it("rejects reused, foreign and tampered proofs", async () => {
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          const allocations = await buildAllocationsFromEvents(airdrop);
+          const { root, claims } = buildMerkleTree(allocations);
+          await airdrop.setMerkleRoot(root);
+
+          await expect(
+            airdrop.connect(user1).claim(claims[user2.address].proof)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidProof");
+
+          await airdrop.connect(user1).claim(claims[user1.address].proof);
+          await expect(
+            airdrop.connect(user1).claim(claims[user1.address].proof)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__AlreadyProcessed");
+
+          // A root committing more TokenB than the contract computes is unusable
+          const inflated = allocations.map((allocation) => ({
+            ...allocation,
+            tokenBAmount: allocation.tokenBAmount + 1n,
+          }));
+          const tampered = buildMerkleTree(inflated);
+          await airdrop.setMerkleRoot(tampered.root);
+          await expect(
+            airdrop.connect(user2).claim(tampered.claims[user2.address].proof)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidProof");
+        });
+
+        it("lets processPledgeBatch finish after partial claims", async () => {
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          const { root, claims } = buildMerkleTree(
+            await buildAllocationsFromEvents(airdrop)
+          );
+          await airdrop.setMerkleRoot(root);
+          await airdrop.connect(user2).claim(claims[user2.address].proof);
+
+          const user2BalanceBefore = await tokenB.balanceOf(user2.address);
+          await airdrop.processPledgeBatch(10);
+
+          assert.equal(
+            await tokenB.balanceOf(user2.address),
+            user2BalanceBefore
+          );
+          assert.equal(await airdrop.getProcessedCount(), pledges.length);
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+        });
+
+        it("leaves out pledges refunded in emergency mode", async () => {
+          await airdrop.activateEmergencyMode();
+          await airdrop.connect(user3).emergencyRefund();
+          await airdrop.scheduleEmergencyExit();
+          await time.increaseTo(await airdrop.getEmergencyExitTime());
+          await airdrop.exitEmergencyMode();
+
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          const allocations = await buildAllocationsFromEvents(airdrop);
+          assert.deepEqual(
+            allocations.map(({ user }) => user),
+            [user1.address, user2.address]
+          );
+
+          const { root, claims } = buildMerkleTree(allocations);
+          await airdrop.setMerkleRoot(root);
+          await airdrop.connect(user1).claim(claims[user1.address].proof);
+          await airdrop.connect(user2).claim(claims[user2.address].proof);
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+        });
+
+        it("builds proofs that verify off-chain", async () => {
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          const allocations = await buildAllocationsFromEvents(airdrop);
+          const { root, claims } = buildMerkleTree(allocations);
+          for (const allocation of allocations) {
+            assert(
+              verifyProof(claims[allocation.user].proof, root, allocation)
+            );
+          }
+        });
+      });
+
+      describe("withdrawPledge", function () {
+        const pledgeAmount = ethers.parseEther("1000");
+
+        beforeEach(async () => {
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+        });
+
+        it("returns TokenA and shrinks the pledge and total", async () => {
+          const balanceBefore = await tokenA.balanceOf(user1.address);
+          const amount = ethers.parseEther("400");
+
+          await expect(airdrop.connect(user1).withdrawPledge(amount))
+            .to.emit(airdrop, "PledgeWithdrawn")
+            .withArgs(1, user1.address, amount, pledgeAmount - amount);
+
+          assert.equal(
+            await tokenA.balanceOf(user1.address),
+            balanceBefore + amount
+          );
+          const userPledge = await airdrop.getUserPledge(user1.address);
+          assert.equal(userPledge.tokenAAmount, pledgeAmount - amount);
+          assert.equal(await airdrop.getTotalPledged(), pledgeAmount - amount);
+          assert.equal(await airdrop.getPledgersCount(), 1);
+        });
+
+        it("rejects zero, excessive and sub-minimum remainders", async () => {
+          await expect(
+            airdrop.connect(user1).withdrawPledge(0)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+          await expect(
+            airdrop.connect(user1).withdrawPledge(pledgeAmount + 1n)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+          await expect(
+            airdrop.connect(user2).withdrawPledge(pledgeAmount)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+          // Leaving 50 behind would be below MIN_PLEDGE_AMOUNT
+          await expect(
+            airdrop
+              .connect(user1)
+              .withdrawPledge(pledgeAmount - ethers.parseEther("50"))
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__PledgeAmountTooLow"
+          );
+        });
+
+        it("reverts after the deadline and outside the pledge phase", async () => {
+          await time.increase(PLEDGE_DURATION + 1);
+          await expect(
+            airdrop.connect(user1).withdrawPledge(pledgeAmount)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__DeadlinePassed");
+
+          await airdrop.finalizePledgePhase();
+          await expect(
+            airdrop.connect(user1).withdrawPledge(pledgeAmount)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__NotInPledgePhase");
+        });
+
+        it("removes fully withdrawn pledgers without breaking batches", async () => {
+          await airdrop.connect(user2).pledgeTokens(pledgeAmount, 0);
+          await tokenA.mint(user3.address, pledgeAmount);
+          await tokenA
+            .connect(user3)
+            .approve(await airdrop.getAddress(), pledgeAmount);
+          await airdrop.connect(user3).pledgeTokens(pledgeAmount, 0);
+
+          // user1 sits at index 0, so user3 is swapped into its slot
+          await airdrop.connect(user1).withdrawPledge(pledgeAmount);
+          assert.equal(await airdrop.getPledgersCount(), 2);
+          assert.equal(await airdrop.getTotalPledged(), pledgeAmount * 2n);
+
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(1);
+          await airdrop.processPledgeBatch(1);
+
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+          for (const user of [user2, user3]) {
+            assert.equal(
+              (await airdrop.getUserPledge(user.address)).processed,
+              true
+            );
+            assert.equal(
+              await tokenB.balanceOf(user.address),
+              await airdrop.calculateScaledTokenBAmount(pledgeAmount)
+            );
+          }
+          assert.equal(
+            (await airdrop.getUserPledge(user1.address)).processed,
+            false
+          );
+          assert.equal(await tokenB.balanceOf(user1.address), 0);
+        });
+
+        it("keeps the cooldown running across a full withdrawal", async () => {
+          await airdrop.connect(user1).withdrawPledge(pledgeAmount);
+          assert.equal(await airdrop.getPledgersCount(), 0);
+
+          await expect(
+            airdrop.connect(user1).pledgeTokens(pledgeAmount, 0)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidTimestamp");
+
+          await time.increase(Number(await airdrop.getCooldownPeriod()));
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          assert.equal(await airdrop.getPledgersCount(), 1);
+          assert.equal(await airdrop.getTotalPledged(), pledgeAmount);
+        });
+
+        it("frees headroom under the max pledge per user", async () => {
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("1500")
+          );
+          await time.increase(Number(await airdrop.getCooldownPeriod()));
+
+          await expect(
+            airdrop.connect(user1).pledgeTokens(ethers.parseEther("600"), 0)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__MaxPledgeExceeded"
+          );
+
+          await airdrop.connect(user1).withdrawPledge(ethers.parseEther("500"));
+          await airdrop
+            .connect(user1)
+            .pledgeTokens(ethers.parseEther("1000"), 0);
+          assert.equal(
+            (await airdrop.getUserPledge(user1.address)).tokenAAmount,
+            ethers.parseEther("1500")
+          );
+        });
+
+        it("is excluded from Merkle allocations once withdrawn", async () => {
+          await airdrop.connect(user2).pledgeTokens(pledgeAmount, 0);
+          await airdrop.connect(user2).withdrawPledge(ethers.parseEther("500"));
+          await airdrop.connect(user1).withdrawPledge(pledgeAmount);
+
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+
+          const allocations = await buildAllocationsFromEvents(airdrop);
+          assert.equal(allocations.length, 1);
+          assert.equal(allocations[0].user, user2.address);
+          assert.equal(allocations[0].tokenAAmount, ethers.parseEther("500"));
+        });
+      });
+
+      describe("emergencyRefund", function () {
+        const pledgeAmount = ethers.parseEther("1000");
+        let testUsers;
+
+        beforeEach(async () => {
+          testUsers = [user1, user2, user3, user4, user5];
+          for (const user of testUsers) {
+            await tokenA.mint(user.address, pledgeAmount);
+            await tokenA
+              .connect(user)
+              .approve(await airdrop.getAddress(), pledgeAmount);
+            await airdrop.connect(user).pledgeTokens(pledgeAmount, 0);
+          }
+        });
+
+        it("reverts when emergency mode is not active", async () => {
+          await expect(
+            airdrop.connect(user1).emergencyRefund()
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__EmergencyOnly");
+        });
+
+        it("refunds pledges and drops them during the pledge phase", async () => {
+          await airdrop.activateEmergencyMode();
+          const balanceBefore = await tokenA.balanceOf(user1.address);
+
+          await expect(airdrop.connect(user1).emergencyRefund())
+            .to.emit(airdrop, "EmergencyRefund")
+            .withArgs(1, user1.address, pledgeAmount);
+
+          assert.equal(
+            await tokenA.balanceOf(user1.address),
+            balanceBefore + pledgeAmount
+          );
+          assert.equal(
+            (await airdrop.getUserPledge(user1.address)).tokenAAmount,
+            0
+          );
+          assert.equal(await airdrop.getTotalPledged(), pledgeAmount * 4n);
+          assert.equal(await airdrop.getPledgersCount(), 4);
+          await expect(
+            airdrop.connect(user1).emergencyRefund()
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+        });
+
+        it("refunds only unprocessed pledges mid-distribution", async () => {
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(2);
+          await airdrop.activateEmergencyMode();
+
+          for (const user of testUsers.slice(0, 2)) {
+            await expect(
+              airdrop.connect(user).emergencyRefund()
+            ).to.be.revertedWithCustomError(
+              airdrop,
+              "Airdrop__AlreadyProcessed"
+            );
+          }
+
+          for (const user of testUsers.slice(2)) {
+            const tokenABefore = await tokenA.balanceOf(user.address);
+            await airdrop.connect(user).emergencyRefund();
+            assert.equal(
+              await tokenA.balanceOf(user.address),
+              tokenABefore + pledgeAmount
+            );
+            assert.equal(await tokenB.balanceOf(user.address), 0);
+          }
+          assert.equal(await airdrop.getUnprocessedTokenA(), 0);
+        });
+
+        it("limits owner TokenA withdrawals to the surplus", async () => {
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(2);
+          await airdrop.activateEmergencyMode();
+
+          const tokenAAddress = await tokenA.getAddress();
+          const outstanding = await airdrop.getUnprocessedTokenA();
+          assert.equal(outstanding, pledgeAmount * 3n);
+
+          const balance = await tokenA.balanceOf(await airdrop.getAddress());
+          const surplus = balance - outstanding;
+          await expect(
+            airdrop.emergencyWithdraw(
+              tokenAAddress,
+              owner.address,
+              surplus + 1n
+            )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__InsufficientSurplus"
+          );
+          await airdrop.emergencyWithdraw(
+            tokenAAddress,
+            owner.address,
+            surplus
+          );
+
+          // Remaining pledgers are still made whole
+          for (const user of testUsers.slice(2)) {
+            await airdrop.connect(user).emergencyRefund();
+          }
+          assert.equal(await tokenA.balanceOf(await airdrop.getAddress()), 0);
+
+          // TokenB is not reserved by pending refunds
+          const tokenBBalance = await tokenB.balanceOf(
+            await airdrop.getAddress()
+          );
+          await expect(
+            airdrop.emergencyWithdraw(
+              await tokenB.getAddress(),
+              owner.address,
+              tokenBBalance
+            )
+          ).to.not.be.reverted;
+        });
+      });
+
+      describe("Multi-round Tests", function () {
+        const pledgeAmount = ethers.parseEther("1000");
+        const ROUND_TWO_CAP = ethers.parseEther("500");
+        const ROUND_TWO_MIN_PLEDGE = ethers.parseEther("200");
+
+        const completeRound = async () => {
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(10);
+        };
+
+        beforeEach(async () => {
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+        });
+
+        it("starts in round one", async () => {
+          assert.equal(await airdrop.getCurrentRound(), 1);
+          assert.equal(await airdrop.getMinPledgeAmount(), MIN_PLEDGE_AMOUNT);
+        });
+
+        it("only opens a new round after the previous one completes", async () => {
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await expect(
+            airdrop.startNewRound(
+              PLEDGE_DURATION,
+              ROUND_TWO_CAP,
+              ROUND_TWO_MIN_PLEDGE
+            )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__RoundNotCompleted"
+          );
+
+          await completeRound();
+          await expect(
+            airdrop
+              .connect(user1)
+              .startNewRound(
+                PLEDGE_DURATION,
+                ROUND_TWO_CAP,
+                ROUND_TWO_MIN_PLEDGE
+              )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            airdrop.startNewRound(
+              PLEDGE_DURATION,
+              ROUND_TWO_CAP,
+              ROUND_TWO_MIN_PLEDGE
+            )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__PhaseTransitionTooEarly"
+          );
+
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await expect(
+            airdrop.startNewRound(0, ROUND_TWO_CAP, ROUND_TWO_MIN_PLEDGE)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidTimestamp");
+          await expect(
+            airdrop.startNewRound(PLEDGE_DURATION, ROUND_TWO_CAP, 0)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+
+          await expect(
+            airdrop.startNewRound(
+              PLEDGE_DURATION,
+              ROUND_TWO_CAP,
+              ROUND_TWO_MIN_PLEDGE
+            )
+          )
+            .to.emit(airdrop, "RoundStarted")
+            .withArgs(
+              2,
+              (await time.latest()) + 1 + PLEDGE_DURATION,
+              ROUND_TWO_CAP,
+              ROUND_TWO_MIN_PLEDGE
+            )
+            .and.to.emit(airdrop, "PhaseUpdated")
+            .withArgs(2, 0);
+
+          assert.equal(await airdrop.getCurrentRound(), 2);
+          assert.equal(await airdrop.getCurrentPhase(), 0); // PLEDGE
+          assert.equal(await airdrop.getTokenBMaxCap(), ROUND_TWO_CAP);
+          assert.equal(
+            await airdrop["getTokenBMaxCap(uint256)"](1),
+            TOKEN_B_MAX_CAP
+          );
+          assert.equal(await airdrop.getPledgersCount(), 0);
+          assert.equal(await airdrop["getPledgersCount(uint256)"](1), 1);
+        });
+
+        it("tracks pledges and scaling ratios per round", async () => {
+          await completeRound();
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await airdrop.startNewRound(
+            PLEDGE_DURATION,
+            ROUND_TWO_CAP,
+            ROUND_TWO_MIN_PLEDGE
+          );
+
+          await expect(
+            airdrop.connect(user1).pledgeTokens(ethers.parseEther("150"), 0)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__PledgeAmountTooLow"
+          );
+          await expect(airdrop.connect(user1).pledgeTokens(pledgeAmount, 0))
+            .to.emit(airdrop, "PledgeSubmitted")
+            .withArgs(2, user1.address, pledgeAmount, anyValue);
+          await airdrop.connect(user2).pledgeTokens(pledgeAmount, 0);
+
+          // Round two is oversubscribed: 2000 TokenA needs 1000 TokenB
+          await passPledgeDeadline();
+          await expect(airdrop.finalizePledgePhase())
+            .to.emit(airdrop, "ScalingRatioSet")
+            .withArgs(2, BASIS_POINTS / 2);
+          await expect(airdrop.processPledgeBatch(10))
+            .to.emit(airdrop, "TokensDistributed")
+            .withArgs(
+              2,
+              user2.address,
+              ethers.parseEther("250"),
+              ethers.parseEther("500")
+            );
+
+          assert.equal(
+            await airdrop["getScalingRatio(uint256)"](1),
+            BASIS_POINTS
+          );
+          assert.equal(
+            await airdrop["getScalingRatio(uint256)"](2),
+            BASIS_POINTS / 2
+          );
+          assert.equal(
+            await airdrop["getTotalPledged(uint256)"](1),
+            pledgeAmount
+          );
+          assert.equal(
+            await airdrop["getTotalPledged(uint256)"](2),
+            pledgeAmount * 2n
+          );
+
+          const roundOnePledge = await airdrop[
+            "getUserPledge(uint256,address)"
+          ](1, user1.address);
+          const roundTwoPledge = await airdrop.getUserPledge(user1.address);
+          assert.equal(
+            roundOnePledge.tokenBAllocation,
+            ethers.parseEther("500")
+          );
+          assert.equal(
+            roundTwoPledge.tokenBAllocation,
+            ethers.parseEther("250")
+          );
+          assert.equal(roundTwoPledge.processed, true);
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+        });
+
+        it("rejects unknown round ids", async () => {
+          await expect(
+            airdrop["getScalingRatio(uint256)"](0)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidRound");
+          await expect(
+            airdrop["getUserPledge(uint256,address)"](2, user1.address)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidRound");
+        });
+      });
+
+      describe("Mixed Decimals Tests", function () {
+        const decimalPairs = [
+          [6, 18],
+          [18, 6],
+          [8, 18],
+        ];
+
+        const deployPair = async (decimalsA, decimalsB, capInTokenB) => {
+          const TokenMock = await ethers.getContractFactory("ERC20Mock");
+          const pledgeToken = await TokenMock.deploy(
+            "Pledge",
+            "PLG",
+            decimalsA
+          );
+          const rewardToken = await TokenMock.deploy(
+            "Reward",
+            "RWD",
+            decimalsB
+          );
+          const cap = ethers.parseUnits(capInTokenB, decimalsB);
+          const mixedAirdrop = await ethers.deployContract(
+            "Airdrop",
+            [
+              await pledgeToken.getAddress(),
+              await rewardToken.getAddress(),
+              CONVERSION_RATIO,
+              cap,
+              ethers.parseUnits("100", decimalsA),
+              PLEDGE_DURATION,
+            ],
+            { libraries }
+          );
+          await rewardToken.mint(await mixedAirdrop.getAddress(), cap);
+          return { pledgeToken, rewardToken, mixedAirdrop, cap };
+        };
+
+        const pledgeAll = async (pledgeToken, mixedAirdrop, amounts) => {
+          const users = [user1, user2, user3];
+          for (let i = 0; i < amounts.length; i++) {
+            await pledgeToken.mint(users[i].address, amounts[i]);
+            await pledgeToken
+              .connect(users[i])
+              .approve(await mixedAirdrop.getAddress(), amounts[i]);
+            await mixedAirdrop.connect(users[i]).pledgeTokens(amounts[i], 0);
+          }
+          await time.increase(PLEDGE_DURATION + 1);
+          await mixedAirdrop.finalizePledgePhase();
+          await mixedAirdrop.processPledgeBatch(10);
+          return users.slice(0, amounts.length);
+        };
+
+        for (const [decimalsA, decimalsB] of decimalPairs) {
+          it(`converts ${decimalsA}/${decimalsB} decimal pledges at face value`, async () => {
+            const { pledgeToken, rewardToken, mixedAirdrop } = await deployPair(
+              decimalsA,
+              decimalsB,
+              "1000000"
+            );
+            const amounts = ["1000", "2500.5"].map((amount) =>
+              ethers.parseUnits(amount, decimalsA)
+            );
+
+            const users = await pledgeAll(pledgeToken, mixedAirdrop, amounts);
+
+            assert.equal(await mixedAirdrop.getScalingRatio(), BASIS_POINTS);
+            assert.equal(
+              await rewardToken.balanceOf(users[0].address),
+              ethers.parseUnits("500", decimalsB)
+            );
+            assert.equal(
+              await rewardToken.balanceOf(users[1].address),
+              ethers.parseUnits("1250.25", decimalsB)
+            );
+            for (const user of users) {
+              assert.equal(await pledgeToken.balanceOf(user.address), 0);
+            }
+          });
+
+          it(`never exceeds the cap with ${decimalsA}/${decimalsB} decimals when oversubscribed`, async () => {
+            const { pledgeToken, rewardToken, mixedAirdrop, cap } =
+              await deployPair(decimalsA, decimalsB, "1000");
+            const amounts = ["1234.567", "987.654321", "333.333333"].map(
+              (amount) => ethers.parseUnits(amount, decimalsA)
+            );
+
+            const users = await pledgeAll(pledgeToken, mixedAirdrop, amounts);
+            assert(
+              (await mixedAirdrop.getScalingRatio()) < BigInt(BASIS_POINTS),
+              "Scenario should be oversubscribed"
+            );
+
+            let totalTokenB = 0n;
+            let totalRefund = 0n;
+            for (let i = 0; i < users.length; i++) {
+              const received = await rewardToken.balanceOf(users[i].address);
+              const refund = await pledgeToken.balanceOf(users[i].address);
+              totalTokenB += received;
+              totalRefund += refund;
+
+              // Refund plus the TokenA paid for the TokenB received never
+              // exceeds the pledge
+              const tokenAUsed =
+                (received * BigInt(BASIS_POINTS) * 10n ** BigInt(decimalsA)) /
+                (BigInt(CONVERSION_RATIO) * 10n ** BigInt(decimalsB));
+              assert(refund + tokenAUsed <= amounts[i]);
+              assert(refund > 0n);
+            }
+
+            assert(totalTokenB <= cap, "Distributed TokenB exceeds the cap");
+            const pledged = amounts.reduce((sum, amount) => sum + amount, 0n);
+            assert.equal(
+              await pledgeToken.balanceOf(await mixedAirdrop.getAddress()),
+              pledged - totalRefund
+            );
+          });
+        }
+      });
+
+      describe("Vesting Tests", function () {
+        const CLIFF = 30 * 24 * 60 * 60; // 30 days
+        const DURATION = 90 * 24 * 60 * 60; // 90 days
+        const pledgeAmount = ethers.parseEther("3000000");
+
+        const distribute = async () => {
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(10);
+        };
+
+        beforeEach(async () => {
+          // Oversubscribe so that a TokenA refund is due as well
+          await applyConfigChange("setMaxPledgePerUser", pledgeAmount);
+          await tokenA.mint(user1.address, pledgeAmount);
+          await tokenA
+            .connect(user1)
+            .approve(await airdrop.getAddress(), pledgeAmount);
+        });
+
+        it("only accepts a schedule from the owner during pledging", async () => {
+          await expect(
+            airdrop.connect(user1).setVestingSchedule(CLIFF, DURATION)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(airdrop.setVestingSchedule(CLIFF, DURATION))
+            .to.emit(airdrop, "VestingScheduleSet")
+            .withArgs(1, CLIFF, DURATION);
+
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await distribute();
+          await expect(
+            airdrop.setVestingSchedule(0, 0)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__NotInPledgePhase");
+
+          const [start, cliff, duration] = await airdrop[
+            "getVestingSchedule(uint256)"
+          ](1);
+          assert(start > 0n);
+          assert.equal(cliff, CLIFF);
+          assert.equal(duration, DURATION);
+        });
+
+        it("locks the schedule once the round has a pledger", async () => {
+          await airdrop.setVestingSchedule(CLIFF, DURATION);
+          await airdrop.connect(user1).pledgeTokens(MIN_PLEDGE_AMOUNT, 0);
+
+          await expect(
+            airdrop.setVestingSchedule(CLIFF * 12, DURATION)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__VestingLocked");
+
+          // Once the last pledger has withdrawn, nobody is bound by the terms
+          await airdrop.connect(user1).withdrawPledge(MIN_PLEDGE_AMOUNT);
+          await expect(airdrop.setVestingSchedule(0, 0)).to.emit(
+            airdrop,
+            "VestingScheduleSet"
+          );
+        });
+
+        it("bounds the cliff and the duration", async () => {
+          const YEAR = 365 * 24 * 60 * 60;
+          await expect(
+            airdrop.setVestingSchedule(YEAR + 1, DURATION)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+          await expect(
+            airdrop.setVestingSchedule(CLIFF, 4 * YEAR + 1)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+          await expect(airdrop.setVestingSchedule(YEAR, 4 * YEAR)).to.emit(
+            airdrop,
+            "VestingScheduleSet"
+          );
+        });
+
+        it("holds TokenB back while refunding TokenA immediately", async () => {
+          await airdrop.setVestingSchedule(CLIFF, DURATION);
+          const tokenABefore = await tokenA.balanceOf(user1.address);
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await distribute();
+
+          const { tokenBAllocation } = await airdrop.getUserPledge(
+            user1.address
+          );
+          const refund = await airdrop.calculateTokenAToReturn(
+            pledgeAmount,
+            tokenBAllocation
+          );
+          assert(refund > 0n);
+          assert.equal(
+            await tokenA.balanceOf(user1.address),
+            tokenABefore - pledgeAmount + refund
+          );
+          assert.equal(await tokenB.balanceOf(user1.address), 0);
+          assert.equal(await airdrop.getUnreleasedTokenB(), tokenBAllocation);
+          assert.equal(
+            await lens.getReleasableAmount(airdrop, user1.address),
+            0
+          );
+          await expect(
+            airdrop.connect(user1)["release()"]()
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__NothingToRelease");
+        });
+
+        it("releases linearly after the cliff", async () => {
+          await airdrop.setVestingSchedule(CLIFF, DURATION);
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await distribute();
+          const { tokenBAllocation } = await airdrop.getUserPledge(
+            user1.address
+          );
+          const [start] = await airdrop["getVestingSchedule(uint256)"](1);
+
+          await time.increaseTo(start + BigInt(CLIFF - 1));
+          assert.equal(await lens.getVestedAmount(airdrop, user1.address), 0);
+
+          await time.setNextBlockTimestamp(
+            start + BigInt(CLIFF + DURATION / 2)
+          );
+          await expect(airdrop.connect(user1)["release(uint256)"](1))
+            .to.emit(airdrop, "TokensReleased")
+            .withArgs(1, user1.address, tokenBAllocation / 2n);
+          assert.equal(
+            await lens.getReleasedAmount(airdrop, user1.address),
+            tokenBAllocation / 2n
+          );
+          assert.equal(
+            await lens.getReleasableAmount(airdrop, user1.address),
+            0
+          );
+
+          await time.increaseTo(start + BigInt(CLIFF + DURATION));
+          await airdrop.connect(user1)["release()"]();
+          assert.equal(await tokenB.balanceOf(user1.address), tokenBAllocation);
+          assert.equal(await airdrop.getUnreleasedTokenB(), 0);
+          await expect(
+            airdrop.connect(user1)["release()"]()
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__NothingToRelease");
+        });
+
+        it("pays out immediately without a schedule", async () => {
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await distribute();
+          const { tokenBAllocation } = await airdrop.getUserPledge(
+            user1.address
+          );
+
+          assert.equal(await tokenB.balanceOf(user1.address), tokenBAllocation);
+          assert.equal(
+            await lens.getReleasedAmount(airdrop, user1.address),
+            tokenBAllocation
+          );
+          assert.equal(
+            await lens.getReleasableAmount(airdrop, user1.address),
+            0
+          );
+          assert.equal(await airdrop.getUnreleasedTokenB(), 0);
+        });
+
+        it("keeps unreleased TokenB out of owner recovery", async () => {
+          await airdrop.setVestingSchedule(CLIFF, DURATION);
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await distribute();
+
+          const tokenBAddress = await tokenB.getAddress();
+          const balance = await tokenB.balanceOf(await airdrop.getAddress());
+          const surplus = balance - (await airdrop.getUnreleasedTokenB());
+          // The rounding residual was swept at completion, so ask for more
+          // than the dust floor to reach the surplus check
+          await expect(
+            airdrop.recoverStuckTokens(
+              tokenBAddress,
+              owner.address,
+              surplus + (await airdrop.getMinDustAmount())
+            )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__InsufficientSurplus"
+          );
+
+          await airdrop.activateEmergencyMode();
+          await expect(
+            airdrop.emergencyWithdraw(tokenBAddress, owner.address, balance)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__InsufficientSurplus"
+          );
+        });
+      });
+
+      describe("Voucher Tests", function () {
+        let kycSigner, expiry;
+
+        beforeEach(async () => {
+          kycSigner = accounts[8];
+          expiry = (await time.latest()) + 24 * 60 * 60;
+          await airdrop.setVoucherSigner(kycSigner.address);
+        });
+
+        it("requires a voucher once a signer is configured", async () => {
+          await expect(
+            airdrop.connect(user1).pledgeTokens(ethers.parseEther("1000"), 0)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__VoucherRequired");
+
+          await expect(airdrop.setVoucherSigner(ethers.ZeroAddress))
+            .to.emit(airdrop, "VoucherSignerUpdated")
+            .withArgs(ethers.ZeroAddress);
+          await expect(
+            airdrop.connect(user1).pledgeTokens(ethers.parseEther("1000"), 0)
+          ).to.not.be.reverted;
+        });
+
+        it("applies the per-user cap and tier from the voucher", async () => {
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("1000")
+          );
+          expiry = (await time.latest()) + 24 * 60 * 60;
+          const { voucher, signature } = await signVoucher(kycSigner, airdrop, {
+            user: user1.address,
+            maxPledge: ethers.parseEther("5000"),
+            tier: 2,
+            expiry,
+          });
+
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeTokensWithVoucher(
+                ethers.parseEther("3000"),
+                0,
+                voucher,
+                signature
+              )
+          )
+            .to.emit(airdrop, "VoucherRedeemed")
+            .withArgs(user1.address, 2, ethers.parseEther("5000"));
+          assert.equal(await airdrop.getUserTier(user1.address), 2);
+          assert.equal(
+            (await airdrop.getUserPledge(user1.address)).tokenAAmount,
+            ethers.parseEther("3000")
+          );
+
+          const lowTier = await signVoucher(kycSigner, airdrop, {
+            user: user2.address,
+            maxPledge: ethers.parseEther("500"),
+            tier: 1,
+            expiry,
+          });
+          await expect(
+            airdrop
+              .connect(user2)
+              .pledgeTokensWithVoucher(
+                ethers.parseEther("1000"),
+                0,
+                lowTier.voucher,
+                lowTier.signature
+              )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__MaxPledgeExceeded"
+          );
+        });
+
+        it("rejects expired, foreign, forged and tampered vouchers", async () => {
+          const amount = ethers.parseEther("1000");
+          const base = {
+            user: user1.address,
+            maxPledge: ethers.parseEther("5000"),
+            tier: 1,
+            expiry,
+          };
+
+          const expired = await signVoucher(kycSigner, airdrop, {
+            ...base,
+            expiry: (await time.latest()) - 1,
+          });
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeTokensWithVoucher(
+                amount,
+                0,
+                expired.voucher,
+                expired.signature
+              )
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__VoucherExpired");
+
+          const valid = await signVoucher(kycSigner, airdrop, base);
+          await expect(
+            airdrop
+              .connect(user2)
+              .pledgeTokensWithVoucher(
+                amount,
+                0,
+                valid.voucher,
+                valid.signature
+              )
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidVoucher");
+
+          const forged = await signVoucher(user1, airdrop, base);
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeTokensWithVoucher(
+                amount,
+                0,
+                forged.voucher,
+                forged.signature
+              )
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidVoucher");
+
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeTokensWithVoucher(
+                amount,
+                0,
+                { ...valid.voucher, maxPledge: ethers.parseEther("9000") },
+                valid.signature
+              )
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidVoucher");
+
+          await airdrop.setVoucherSigner(ethers.ZeroAddress);
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeTokensWithVoucher(
+                amount,
+                0,
+                valid.voucher,
+                valid.signature
+              )
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidVoucher");
+        });
+
+        it("recovers the signer off-chain", async () => {
+          const { voucher, signature } = await signVoucher(kycSigner, airdrop, {
+            user: user1.address,
+            maxPledge: ethers.parseEther("5000"),
+            tier: 3,
+            expiry,
+          });
+          const domain = await getVoucherDomain(airdrop);
+          assert.equal(
+            recoverVoucherSigner(domain, voucher, signature),
+            kycSigner.address
+          );
+        });
+      });
+
+      describe("Permit Tests", function () {
+        let permitToken, permitAirdrop;
+        const pledgeAmount = ethers.parseEther("1000");
+
+        const signPermit = async (holder, spender, value, deadline) => {
+          const { chainId } = await ethers.provider.getNetwork();
+          const signature = await holder.signTypedData(
+            {
+              name: await permitToken.name(),
+              version: "1",
+              chainId,
+              verifyingContract: await permitToken.getAddress(),
+            },
+            {
+              Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+              ],
+            },
+            {
+              owner: holder.address,
+              spender,
+              value,
+              nonce: await permitToken.nonces(holder.address),
+              deadline,
+            }
+          );
+          return ethers.Signature.from(signature);
+        };
+
+        beforeEach(async () => {
+          const PermitMock = await ethers.getContractFactory("ERC20PermitMock");
+          permitToken = await PermitMock.deploy("Permit Token", "PRM", 18);
+          permitAirdrop = await ethers.deployContract(
+            "Airdrop",
+            [
+              await permitToken.getAddress(),
+              await tokenB.getAddress(),
+              CONVERSION_RATIO,
+              TOKEN_B_MAX_CAP,
+              MIN_PLEDGE_AMOUNT,
+              PLEDGE_DURATION,
+            ],
+            { libraries }
+          );
+          await permitToken.mint(user1.address, pledgeAmount);
+        });
+
+        it("pledges in a single transaction without approve", async () => {
+          const deadline = (await time.latest()) + 3600;
+          const { v, r, s } = await signPermit(
+            user1,
+            await permitAirdrop.getAddress(),
+            pledgeAmount,
+            deadline
+          );
+
+          await expect(
+            permitAirdrop
+              .connect(user1)
+              .pledgeTokensWithPermit(pledgeAmount, 0, deadline, v, r, s)
+          ).to.emit(permitAirdrop, "PledgeSubmitted");
+
+          assert.equal(await permitAirdrop.getTotalPledged(), pledgeAmount);
+          assert.equal(await permitToken.balanceOf(user1.address), 0);
+        });
+
+        it("still pledges when the permit was front-run", async () => {
+          const deadline = (await time.latest()) + 3600;
+          const spender = await permitAirdrop.getAddress();
+          const { v, r, s } = await signPermit(
+            user1,
+            spender,
+            pledgeAmount,
+            deadline
+          );
+
+          // Someone else submits the signed permit first
+          await permitToken
+            .connect(user2)
+            .permit(user1.address, spender, pledgeAmount, deadline, v, r, s);
+
+          await expect(
+            permitAirdrop
+              .connect(user1)
+              .pledgeTokensWithPermit(pledgeAmount, 0, deadline, v, r, s)
+          ).to.not.be.reverted;
+          assert.equal(await permitAirdrop.getTotalPledged(), pledgeAmount);
+        });
+
+        it("reverts when the permit fails and no allowance exists", async () => {
+          const deadline = (await time.latest()) + 3600;
+          const { v, r, s } = await signPermit(
+            user1,
+            await permitAirdrop.getAddress(),
+            pledgeAmount,
+            deadline
+          );
+
+          // Signed for a different amount
+          await expect(
+            permitAirdrop
+              .connect(user1)
+              .pledgeTokensWithPermit(pledgeAmount / 2n, 0, deadline, v, r, s)
+          ).to.be.revertedWithCustomError(
+            permitAirdrop,
+            "Airdrop__PermitFailed"
+          );
+        });
+
+        it("falls back to an existing approval for tokens without permit", async () => {
+          // tokenA is a plain ERC20Mock, so permit() itself reverts
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeTokensWithPermit(
+                pledgeAmount,
+                0,
+                0,
+                0,
+                ethers.ZeroHash,
+                ethers.ZeroHash
+              )
+          ).to.not.be.reverted;
+          assert.equal(await airdrop.getTotalPledged(), pledgeAmount);
+        });
+      });
+
+      describe("Role Tests", function () {
+        let operator, compliance, configAdmin, guardian;
+
+        beforeEach(async () => {
+          operator = user4;
+          compliance = user5;
+          configAdmin = user6;
+          guardian = user7;
+          await airdrop.grantRole(
+            await airdrop.OPERATOR_ROLE(),
+            operator.address
+          );
+          await airdrop.grantRole(
+            await airdrop.COMPLIANCE_ROLE(),
+            compliance.address
+          );
+          await airdrop.grantRole(
+            await airdrop.CONFIG_ADMIN_ROLE(),
+            configAdmin.address
+          );
+          await airdrop.grantRole(
+            await airdrop.GUARDIAN_ROLE(),
+            guardian.address
+          );
+        });
+
+        it("grants every role to the deployer", async () => {
+          for (const role of [
+            await airdrop.DEFAULT_ADMIN_ROLE(),
+            await airdrop.OPERATOR_ROLE(),
+            await airdrop.COMPLIANCE_ROLE(),
+            await airdrop.CONFIG_ADMIN_ROLE(),
+            await airdrop.GUARDIAN_ROLE(),
+            await airdrop.KEEPER_ROLE(),
+          ]) {
+            assert(await airdrop.hasRole(role, owner.address));
+          }
+        });
+
+        it("emits RoleGranted and RoleRevoked", async () => {
+          const role = await airdrop.OPERATOR_ROLE();
+          await expect(airdrop.grantRole(role, user3.address))
+            .to.emit(airdrop, "RoleGranted")
+            .withArgs(role, user3.address, owner.address);
+          await expect(airdrop.revokeRole(role, user3.address))
+            .to.emit(airdrop, "RoleRevoked")
+            .withArgs(role, user3.address, owner.address);
+          assert(!(await airdrop.hasRole(role, user3.address)));
+        });
+
+        it("only the default admin can grant roles", async () => {
+          await expect(
+            airdrop
+              .connect(operator)
+              .grantRole(await airdrop.OPERATOR_ROLE(), user3.address)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+
+        it("operator can only run distribution", async () => {
+          await airdrop
+            .connect(user1)
+            .pledgeTokens(ethers.parseEther("100"), 0);
+          await time.increase(PLEDGE_DURATION + 1);
+
+          await expect(airdrop.connect(operator).finalizePledgePhase()).to.not
+            .be.reverted;
+          await expect(
+            airdrop.connect(operator).setMerkleRoot(ethers.id("root"))
+          ).to.not.be.reverted;
+          await expect(airdrop.connect(operator).processPledgeBatch(10)).to.not
+            .be.reverted;
+
+          await expect(
+            airdrop.connect(operator).setBlacklistStatus(user2.address, true)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            airdrop.connect(operator).setCooldownPeriod(0)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            airdrop.connect(operator).activateEmergencyMode()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+
+        it("compliance can only manage the blacklist and voucher signer", async () => {
+          await expect(
+            airdrop.connect(compliance).setBlacklistStatus(user2.address, true)
+          ).to.not.be.reverted;
+          await expect(
+            airdrop.connect(compliance).setVoucherSigner(user3.address)
+          ).to.not.be.reverted;
+
+          await expect(
+            airdrop.connect(compliance).setMaxPledgePerUser(1)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            airdrop.connect(compliance).finalizePledgePhase()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            airdrop.connect(compliance).activateEmergencyMode()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+
+        it("config admin can only change parameters", async () => {
+          const admin = airdrop.connect(configAdmin);
+          await expect(admin.setMaxPledgePerUser(ethers.parseEther("5000"))).to
+            .not.be.reverted;
+          await expect(admin.setMinDustAmount(1)).to.not.be.reverted;
+          await expect(admin.setMinPhaseTransitionTime(60)).to.not.be.reverted;
+          await expect(admin.setCooldownPeriod(60)).to.not.be.reverted;
+          await expect(admin.setVestingSchedule(0, 3600)).to.not.be.reverted;
+
+          await expect(
+            admin.setBlacklistStatus(user2.address, true)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            admin.processPledgeBatch(10)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            admin.recoverStuckTokens(
+              await tokenB.getAddress(),
+              owner.address,
+              1
+            )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+
+        it("guardian can only trigger emergency mode", async () => {
+          await expect(
+            airdrop.connect(guardian).setCooldownPeriod(0)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            airdrop
+              .connect(guardian)
+              .emergencyWithdraw(await tokenB.getAddress(), owner.address, 1)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(airdrop.connect(guardian).activateEmergencyMode()).to.not
+            .be.reverted;
+          assert(await airdrop.isEmergencyMode());
+        });
+
+        it("loses access once the role is revoked", async () => {
+          await airdrop.revokeRole(
+            await airdrop.CONFIG_ADMIN_ROLE(),
+            configAdmin.address
+          );
+          await expect(
+            airdrop.connect(configAdmin).setCooldownPeriod(60)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+
+        it("a role holder can renounce its own role", async () => {
+          const role = await airdrop.GUARDIAN_ROLE();
+          await expect(
+            airdrop.connect(guardian).renounceRole(role, guardian.address)
+          )
+            .to.emit(airdrop, "RoleRevoked")
+            .withArgs(role, guardian.address, guardian.address);
+          await expect(
+            airdrop.connect(guardian).activateEmergencyMode()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+      });
+
+      describe("Config Timelock Tests", function () {
+        const newMax = ethers.parseEther("5000");
+
+        it("queues a change with its effective time", async () => {
+          const before = await airdrop.getMaxPledgePerUser();
+          const tx = await airdrop.setMaxPledgePerUser(newMax);
+          const effectiveTime = (await time.latest()) + CONFIG_DELAY;
+
+          await expect(tx)
+            .to.emit(airdrop, "ConfigChangeScheduled")
+            .withArgs(ConfigParam.MAX_PLEDGE_PER_USER, newMax, effectiveTime);
+          assert.equal(await airdrop.getMaxPledgePerUser(), before);
+          const [value, pendingTime] = await airdrop.getPendingConfigChange(
+            ConfigParam.MAX_PLEDGE_PER_USER
+          );
+          assert.equal(value, newMax);
+          assert.equal(pendingTime, BigInt(effectiveTime));
+        });
+
+        it("only executes once the delay has passed", async () => {
+          await airdrop.setCooldownPeriod(0);
+          await time.increase(CONFIG_DELAY - 10);
+          await expect(
+            airdrop.executeConfigChange(ConfigParam.COOLDOWN_PERIOD)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__ChangeNotReady");
+
+          await time.increase(10);
+          await expect(airdrop.executeConfigChange(ConfigParam.COOLDOWN_PERIOD))
+            .to.emit(airdrop, "CooldownPeriodUpdated")
+            .withArgs(0);
+          assert.equal(await airdrop.getCooldownPeriod(), 0);
+
+          // The queue entry is consumed by the execution
+          await expect(
+            airdrop.executeConfigChange(ConfigParam.COOLDOWN_PERIOD)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__NoPendingChange");
+        });
+
+        it("does not change the rules under existing pledgers until executed", async () => {
+          await airdrop
+            .connect(user1)
+            .pledgeTokens(ethers.parseEther("1000"), 0);
+          await airdrop.setMaxPledgePerUser(ethers.parseEther("1000"));
+
+          // The old cap still applies while the change is queued
+          await time.increase(Number(await airdrop.getCooldownPeriod()));
+          await expect(
+            airdrop.connect(user1).pledgeTokens(ethers.parseEther("500"), 0)
+          ).to.not.be.reverted;
+
+          await time.increase(CONFIG_DELAY);
+          await airdrop.executeConfigChange(ConfigParam.MAX_PLEDGE_PER_USER);
+          await expect(
+            airdrop.connect(user2).pledgeTokens(ethers.parseEther("1500"), 0)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__MaxPledgeExceeded"
+          );
+        });
+
+        it("cancels a queued change during the delay", async () => {
+          const before = await airdrop.getMinDustAmount();
+          await airdrop.setMinDustAmount(1);
+          await expect(airdrop.cancelConfigChange(ConfigParam.MIN_DUST_AMOUNT))
+            .to.emit(airdrop, "ConfigChangeCancelled")
+            .withArgs(ConfigParam.MIN_DUST_AMOUNT);
+
+          await time.increase(CONFIG_DELAY);
+          await expect(
+            airdrop.executeConfigChange(ConfigParam.MIN_DUST_AMOUNT)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__NoPendingChange");
+          assert.equal(await airdrop.getMinDustAmount(), before);
+          await expect(
+            airdrop.cancelConfigChange(ConfigParam.MIN_DUST_AMOUNT)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__NoPendingChange");
+        });
+
+        it("restarts the delay when a change is rescheduled", async () => {
+          await airdrop.setMinPhaseTransitionTime(60);
+          await time.increase(CONFIG_DELAY - 60);
+          await airdrop.setMinPhaseTransitionTime(120);
+          await time.increase(60);
+
+          await expect(
+            airdrop.executeConfigChange(ConfigParam.MIN_PHASE_TRANSITION_TIME)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__ChangeNotReady");
+          await time.increase(CONFIG_DELAY);
+          await airdrop.executeConfigChange(
+            ConfigParam.MIN_PHASE_TRANSITION_TIME
+          );
+          assert.equal(await airdrop.getMinPhaseTransitionTime(), 120);
+        });
+
+        it("timelocks the delay itself", async () => {
+          assert.equal(await airdrop.getConfigDelay(), CONFIG_DELAY);
+          await expect(
+            airdrop.setConfigDelay(31 * 24 * 60 * 60)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAmount");
+
+          await airdrop.setConfigDelay(0);
+          assert.equal(await airdrop.getConfigDelay(), CONFIG_DELAY);
+          await time.increase(CONFIG_DELAY);
+          await expect(airdrop.executeConfigChange(ConfigParam.CONFIG_DELAY))
+            .to.emit(airdrop, "ConfigDelayUpdated")
+            .withArgs(0);
+
+          // With no delay a change can be applied straight away
+          await airdrop.setCooldownPeriod(60);
+          await airdrop.executeConfigChange(ConfigParam.COOLDOWN_PERIOD);
+          assert.equal(await airdrop.getCooldownPeriod(), 60);
+        });
+
+        it("restricts execution and cancellation to config admins", async () => {
+          await airdrop.setCooldownPeriod(0);
+          await time.increase(CONFIG_DELAY);
+          await expect(
+            airdrop
+              .connect(user1)
+              .executeConfigChange(ConfigParam.COOLDOWN_PERIOD)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            airdrop
+              .connect(user1)
+              .cancelConfigChange(ConfigParam.COOLDOWN_PERIOD)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+      });
+
+      describe("Upkeep Tests", function () {
+        beforeEach(async () => {
+          // user3 stands in for the Automation forwarder
+          await airdrop.grantRole(await airdrop.KEEPER_ROLE(), user3.address);
+          await airdrop
+            .connect(user1)
+            .pledgeTokens(ethers.parseEther("1000"), 0);
+          await airdrop
+            .connect(user2)
+            .pledgeTokens(ethers.parseEther("1000"), 0);
+        });
+
+        it("is not needed before the pledge deadline", async () => {
+          const [upkeepNeeded] = await airdrop.checkUpkeep("0x");
+          assert(!upkeepNeeded);
+          await expect(
+            airdrop.connect(user3).performUpkeep("0x")
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__UpkeepNotNeeded");
+        });
+
+        it("waits for the minimum phase transition time as well", async () => {
+          await applyConfigChange(
+            "setMinPhaseTransitionTime",
+            PLEDGE_DURATION * 2
+          );
+          await time.increase(PLEDGE_DURATION);
+          assert(
+            (await time.latest()) >
+              Number(await airdrop["getPledgeDeadline()"]())
+          );
+          let [upkeepNeeded] = await airdrop.checkUpkeep("0x");
+          assert(!upkeepNeeded);
+
+          await time.increase(PLEDGE_DURATION);
+          [upkeepNeeded] = await airdrop.checkUpkeep("0x");
+          assert(upkeepNeeded);
+        });
+
+        it("finalizes and then processes batches until completed", async () => {
+          await time.increase(PLEDGE_DURATION + 1);
+          const [upkeepNeeded] = await airdrop.checkUpkeep("0x");
+          assert(upkeepNeeded);
+
+          await expect(airdrop.connect(user3).performUpkeep("0x"))
+            .to.emit(airdrop, "PhaseUpdated")
+            .withArgs(1, 1);
+          assert.equal(await airdrop.getCurrentPhase(), 1);
+
+          await expect(airdrop.connect(user3).performUpkeep("0x"))
+            .to.emit(airdrop, "PhaseUpdated")
+            .withArgs(1, 2);
+          assert.equal(await airdrop.getLastProcessedIndex(), 2);
+          assert.equal(
+            await tokenB.balanceOf(user1.address),
+            ethers.parseEther("500")
+          );
+
+          const [stillNeeded] = await airdrop.checkUpkeep("0x");
+          assert(!stillNeeded);
+          await expect(
+            airdrop.connect(user3).performUpkeep("0x")
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__UpkeepNotNeeded");
+        });
+
+        it("only lets the keeper perform upkeep", async () => {
+          await time.increase(PLEDGE_DURATION + 1);
+          const role = await airdrop.KEEPER_ROLE();
+          await expect(airdrop.connect(user4).performUpkeep("0x"))
+            .to.be.revertedWithCustomError(
+              airdrop,
+              "AccessControlUnauthorizedAccount"
+            )
+            .withArgs(user4.address, role);
+
+          // Holding OPERATOR_ROLE is not enough either
+          await airdrop.grantRole(await airdrop.OPERATOR_ROLE(), user4.address);
+          await expect(
+            airdrop.connect(user4).performUpkeep("0x")
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+
+          await airdrop.revokeRole(role, user3.address);
+          await expect(
+            airdrop.connect(user3).performUpkeep("0x")
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+
+        it("processes BATCH_SIZE pledges per upkeep", async () => {
+          const batchSize = Number(await airdrop.getBatchSize());
+          const signers = (await ethers.getSigners()).slice(3, 3 + batchSize);
+          for (const signer of signers) {
+            await tokenA.mint(signer.address, MIN_PLEDGE_AMOUNT);
+            await tokenA
+              .connect(signer)
+              .approve(await airdrop.getAddress(), MIN_PLEDGE_AMOUNT);
+            await airdrop.connect(signer).pledgeTokens(MIN_PLEDGE_AMOUNT, 0);
+          }
+          const total = Number(await airdrop.getPledgersCount());
+          await time.increase(PLEDGE_DURATION + 1);
+
+          await airdrop.performUpkeep("0x");
+          await airdrop.performUpkeep("0x");
+          assert.equal(
+            await airdrop.getLastProcessedIndex(),
+            Math.min(batchSize, total)
+          );
+          while ((await airdrop.getCurrentPhase()) != 2n) {
+            await airdrop.performUpkeep("0x");
+          }
+          assert.equal(await airdrop.getLastProcessedIndex(), total);
+        });
+
+        it("pauses upkeep while the contract is halted", async () => {
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.activateEmergencyMode();
+          const [upkeepNeeded] = await airdrop.checkUpkeep("0x");
+          assert(!upkeepNeeded);
+          await expect(
+            airdrop.performUpkeep("0x")
+          ).to.be.revertedWithCustomError(airdrop, "EnforcedPause");
+        });
+      });
+
+      describe("Batch Gas Guard Tests", function () {
+        let pledgers;
+        const pledgeAmount = ethers.parseEther("100");
+
+        beforeEach(async () => {
+          pledgers = (await ethers.getSigners()).slice(1, 13);
+          for (const signer of pledgers) {
+            await tokenA.mint(signer.address, pledgeAmount);
+            await tokenA
+              .connect(signer)
+              .approve(await airdrop.getAddress(), pledgeAmount);
+            await airdrop.connect(signer).pledgeTokens(pledgeAmount, 0);
+          }
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+        });
+
+        it("reports every pledger as unprocessed before the first batch", async () => {
+          assert.equal(
+            await airdrop.getUnprocessedPledgersCount(),
+            pledgers.length
+          );
+        });
+
+        it("emits BatchProcessed for a full batch", async () => {
+          await expect(airdrop.processPledgeBatch(5))
+            .to.emit(airdrop, "BatchProcessed")
+            .withArgs(1, 0, 5, 5);
+          assert.equal(
+            await airdrop.getUnprocessedPledgersCount(),
+            pledgers.length - 5
+          );
+        });
+
+        it("does not count pledgers claimed or refunded past the cursor", async () => {
+          const { root, claims } = buildMerkleTree(
+            await buildAllocationsFromEvents(airdrop)
+          );
+          await airdrop.setMerkleRoot(root);
+          await airdrop.processPledgeBatch(5);
+
+          const claimer = pledgers[8];
+          await airdrop.connect(claimer).claim(claims[claimer.address].proof);
+          assert.equal(
+            await airdrop.getUnprocessedPledgersCount(),
+            pledgers.length - 6
+          );
+
+          await airdrop.activateEmergencyMode();
+          await airdrop.connect(pledgers[10]).emergencyRefund();
+          assert.equal(
+            await airdrop.getUnprocessedPledgersCount(),
+            pledgers.length - 7
+          );
+          // The batch cursor still has every pledger past it to walk
+          assert.equal(
+            (await airdrop.getPledgersCount()) -
+              (await airdrop.getLastProcessedIndex()),
+            BigInt(pledgers.length - 5)
+          );
+        });
+
+        it("only advances the cursor as far as the gas guard allows", async () => {
+          // The guard stops once gasleft() drops below 10% of the block gas
+          // limit, so a limit just above that leaves room for a few pledges
+          const block = await ethers.provider.getBlock("latest");
+          const gasLimit = (block.gasLimit * 10n) / 100n + 300000n;
+
+          const tx = await airdrop.processPledgeBatch(pledgers.length, {
+            gasLimit,
+          });
+          const receipt = await tx.wait();
+          const event = receipt.logs
+            .map((log) => airdrop.interface.parseLog(log))
+            .find((log) => log && log.name === "BatchProcessed");
+
+          const reached = Number(event.args.endIndex);
+          assert(reached > 0 && reached < pledgers.length);
+          assert.equal(event.args.startIndex, 0n);
+          assert.equal(event.args.processedCount, BigInt(reached));
+          assert.equal(await airdrop.getLastProcessedIndex(), reached);
+          assert.equal(
+            await airdrop.getUnprocessedPledgersCount(),
+            pledgers.length - reached
+          );
+          assert.equal(await airdrop.getCurrentPhase(), 1); // DISTRIBUTION
+
+          // Pledgers past the early exit are still owed and unpaid
+          for (const signer of pledgers.slice(reached)) {
+            const pledge = await airdrop.getUserPledge(signer.address);
+            assert(!pledge.processed);
+            assert.equal(await tokenB.balanceOf(signer.address), 0n);
+          }
+        });
+
+        it("eventually pays every pledger across early exits", async () => {
+          const block = await ethers.provider.getBlock("latest");
+          const gasLimit = (block.gasLimit * 10n) / 100n + 300000n;
+
+          let batches = 0;
+          while ((await airdrop.getCurrentPhase()) == 1n) {
+            await airdrop.processPledgeBatch(pledgers.length, { gasLimit });
+            batches++;
+          }
+
+          assert(batches > 1);
+          assert.equal(await airdrop.getUnprocessedPledgersCount(), 0);
+          assert.equal(await airdrop.getProcessedCount(), pledgers.length);
+          const expected = await airdrop.calculateTokenBAmount(pledgeAmount);
+          for (const signer of pledgers) {
+            assert.equal(await tokenB.balanceOf(signer.address), expected);
+          }
+        });
+      });
+
+      describe("Blacklisted Pledge Tests", function () {
+        const REVIEW_WINDOW = 7 * 24 * 60 * 60;
+        const bigPledge = ethers.parseEther("1500000");
+        const smallPledge = ethers.parseEther("1000000");
+        let escrow, vault;
+
+        beforeEach(async () => {
+          escrow = user6;
+          vault = await ethers.getContractAt(
+            "HeldPledgeVault",
+            await airdrop.getHeldPledgeVault()
+          );
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("5000000")
+          );
+          for (const [user, amount] of [
+            [user1, bigPledge],
+            [user2, smallPledge],
+          ]) {
+            await tokenA.mint(user.address, amount);
+            await tokenA
+              .connect(user)
+              .approve(await airdrop.getAddress(), amount);
+            await airdrop.connect(user).pledgeTokens(amount, 0);
+          }
+        });
+
+        const distribute = async () => {
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(10);
+        };
+
+        it("removes a pledge blacklisted before finalization from the ratio", async () => {
+          await expect(airdrop.setBlacklistStatus(user2.address, true))
+            .to.emit(airdrop, "PledgeExcluded")
+            .withArgs(1, user2.address, smallPledge);
+          assert.equal(await airdrop.getTotalPledged(), bigPledge);
+
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+          // 1.5M TokenA needs 750k TokenB, under the cap once user2 is out
+          assert.equal(await airdrop.getScalingRatio(), BASIS_POINTS);
+
+          await expect(airdrop.processPledgeBatch(10))
+            .to.emit(airdrop, "PledgeHeld")
+            .withArgs(1, user2.address, smallPledge, anyValue);
+          assert.equal(
+            await tokenB.balanceOf(user1.address),
+            ethers.parseEther("750000")
+          );
+          assert.equal(await tokenB.balanceOf(user2.address), 0n);
+          assert.equal(await vault.getHeldTokenA(), smallPledge);
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+        });
+
+        it("reinstates a pledge cleared before finalization", async () => {
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await expect(airdrop.setBlacklistStatus(user2.address, false))
+            .to.emit(airdrop, "PledgeReinstated")
+            .withArgs(1, user2.address, smallPledge);
+          assert.equal(
+            await airdrop.getTotalPledged(),
+            bigPledge + smallPledge
+          );
+
+          await distribute();
+          assert.equal(await vault.getHeldTokenA(), 0n);
+          assert(
+            (await tokenB.balanceOf(user2.address)) > 0n,
+            "user2 should be paid"
+          );
+        });
+
+        it("refunds an excluded pledge in full if cleared after finalization", async () => {
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+          await airdrop.setBlacklistStatus(user2.address, false);
+          const balanceBefore = await tokenA.balanceOf(user2.address);
+
+          // The ratio was fixed without it, so it stays out but is not held
+          await expect(airdrop.processPledgeBatch(10))
+            .to.emit(airdrop, "TokensDistributed")
+            .withArgs(1, user2.address, 0n, smallPledge)
+            .and.not.to.emit(airdrop, "PledgeHeld");
+          assert.equal(await tokenB.balanceOf(user2.address), 0n);
+          assert.equal(
+            await tokenA.balanceOf(user2.address),
+            balanceBefore + smallPledge
+          );
+          assert.equal(await vault.getHeldTokenA(), 0n);
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+        });
+
+        it("lets a pledger cleared during review be refunded at once", async () => {
+          await vault.setHeldPledgePolicy(escrow.address, REVIEW_WINDOW);
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await distribute();
+          await airdrop.setBlacklistStatus(user2.address, false);
+
+          // Compliance can no longer take the TokenA of a cleared pledger
+          await expect(
+            vault.escrowHeldPledge(1, user2.address)
+          ).to.be.revertedWithCustomError(
+            vault,
+            "HeldPledgeVault__NotBlacklisted"
+          );
+
+          const balanceBefore = await tokenA.balanceOf(user2.address);
+          await expect(vault.connect(user3).refundHeldPledge(1, user2.address))
+            .to.emit(vault, "HeldPledgeRefunded")
+            .withArgs(1, user2.address, smallPledge);
+          assert.equal(
+            await tokenA.balanceOf(user2.address),
+            balanceBefore + smallPledge
+          );
+          assert.equal(await tokenA.balanceOf(escrow.address), 0n);
+        });
+
+        it("holds a pledge blacklisted after finalization", async () => {
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+          const ratio = await airdrop.getScalingRatio();
+          await airdrop.setBlacklistStatus(user2.address, true);
+          const balanceBefore = await tokenA.balanceOf(user2.address);
+
+          // The ratio is already fixed and does not change
+          assert.equal(
+            await airdrop.getTotalPledged(),
+            bigPledge + smallPledge
+          );
+          await airdrop.processPledgeBatch(10);
+          assert.equal(await airdrop.getScalingRatio(), ratio);
+          assert.equal(await tokenB.balanceOf(user2.address), 0n);
+          assert.equal(await tokenA.balanceOf(user2.address), balanceBefore);
+
+          const pledge = await airdrop.getUserPledge(user2.address);
+          assert(pledge.processed);
+          assert.equal(pledge.tokenBAllocation, 0n);
+          const [excluded, heldAmount, heldUntil] = await lens.getHeldPledge(
+            airdrop,
+            1,
+            user2.address
+          );
+          assert(!excluded);
+          assert.equal(heldAmount, smallPledge);
+          assert.equal(
+            heldUntil,
+            BigInt((await time.latest()) + REVIEW_WINDOW)
+          );
+        });
+
+        it("refunds the pledger once the review window has passed", async () => {
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await distribute();
+
+          await expect(
+            vault.refundHeldPledge(1, user2.address)
+          ).to.be.revertedWithCustomError(
+            vault,
+            "HeldPledgeVault__ReviewWindowActive"
+          );
+
+          await time.increase(REVIEW_WINDOW);
+          const balanceBefore = await tokenA.balanceOf(user2.address);
+          // Anyone can trigger the refund, the funds only go to the pledger
+          await expect(vault.connect(user3).refundHeldPledge(1, user2.address))
+            .to.emit(vault, "HeldPledgeRefunded")
+            .withArgs(1, user2.address, smallPledge);
+          assert.equal(
+            await tokenA.balanceOf(user2.address),
+            balanceBefore + smallPledge
+          );
+          assert.equal(await vault.getHeldTokenA(), 0n);
+
+          await expect(
+            vault.refundHeldPledge(1, user2.address)
+          ).to.be.revertedWithCustomError(vault, "HeldPledgeVault__NotHeld");
+          await expect(
+            vault.refundHeldPledge(1, user1.address)
+          ).to.be.revertedWithCustomError(vault, "HeldPledgeVault__NotHeld");
+        });
+
+        it("escrows held funds during the review window", async () => {
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await distribute();
+
+          await expect(
+            vault.escrowHeldPledge(1, user2.address)
+          ).to.be.revertedWithCustomError(
+            vault,
+            "HeldPledgeVault__InvalidAddress"
+          );
+
+          await expect(vault.setHeldPledgePolicy(escrow.address, REVIEW_WINDOW))
+            .to.emit(vault, "HeldPledgePolicyUpdated")
+            .withArgs(escrow.address, REVIEW_WINDOW);
+          await expect(
+            vault.connect(user3).escrowHeldPledge(1, user2.address)
+          ).to.be.revertedWithCustomError(
+            vault,
+            "AccessControlUnauthorizedAccount"
+          );
+
+          await expect(vault.escrowHeldPledge(1, user2.address))
+            .to.emit(vault, "HeldPledgeEscrowed")
+            .withArgs(1, user2.address, escrow.address, smallPledge);
+          assert.equal(await tokenA.balanceOf(escrow.address), smallPledge);
+
+          await time.increase(REVIEW_WINDOW);
+          await expect(
+            vault.refundHeldPledge(1, user2.address)
+          ).to.be.revertedWithCustomError(vault, "HeldPledgeVault__NotHeld");
+        });
+
+        it("cannot escrow once the review window has closed", async () => {
+          await vault.setHeldPledgePolicy(escrow.address, REVIEW_WINDOW);
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await distribute();
+          await time.increase(REVIEW_WINDOW);
+
+          await expect(
+            vault.escrowHeldPledge(1, user2.address)
+          ).to.be.revertedWithCustomError(
+            vault,
+            "HeldPledgeVault__ReviewWindowClosed"
+          );
+        });
+
+        it("bounds the review window", async () => {
+          await expect(
+            vault.setHeldPledgePolicy(escrow.address, 31 * 24 * 60 * 60)
+          ).to.be.revertedWithCustomError(
+            vault,
+            "HeldPledgeVault__InvalidAmount"
+          );
+        });
+
+        it("moves held TokenA out of reach of owner recovery", async () => {
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await distribute();
+
+          // The held pledge sits in the vault, so the Airdrop owes no TokenA
+          const tokenAAddress = await tokenA.getAddress();
+          assert.equal(
+            await tokenA.balanceOf(await vault.getAddress()),
+            smallPledge
+          );
+          const balance = await tokenA.balanceOf(await airdrop.getAddress());
+          assert.equal(
+            await airdrop.getRecoverableSurplus(tokenAAddress),
+            balance
+          );
+          await airdrop.recoverStuckTokens(
+            tokenAAddress,
+            owner.address,
+            balance
+          );
+
+          await time.increase(REVIEW_WINDOW);
+          await expect(vault.refundHeldPledge(1, user2.address))
+            .to.emit(vault, "HeldPledgeRefunded")
+            .withArgs(1, user2.address, smallPledge);
+        });
+
+        it("only lets its Airdrop place a hold", async () => {
+          assert.equal(await vault.getAirdrop(), await airdrop.getAddress());
+          await expect(
+            vault.hold(1, user2.address, smallPledge)
+          ).to.be.revertedWithCustomError(
+            vault,
+            "HeldPledgeVault__InvalidAddress"
+          );
+        });
+      });
+
+      describe("Liability Tests", function () {
+        const bigPledge = ethers.parseEther("3000000");
+        const smallPledge = ethers.parseEther("1000");
+
+        beforeEach(async () => {
+          // Oversubscribe so both tokens carry liabilities mid-distribution
+          await applyConfigChange("setMaxPledgePerUser", bigPledge);
+          await tokenA.mint(user1.address, bigPledge);
+          await tokenA
+            .connect(user1)
+            .approve(await airdrop.getAddress(), bigPledge);
+          await airdrop.connect(user1).pledgeTokens(bigPledge, 0);
+          await airdrop.connect(user2).pledgeTokens(smallPledge, 0);
+          await time.increase(PLEDGE_DURATION + 1);
+        });
+
+        it("reserves every allocation once the ratio is fixed", async () => {
+          let [tokenALiability, tokenBLiability] =
+            await airdrop.getLiabilities();
+          assert.equal(tokenALiability, bigPledge + smallPledge);
+          // Oversubscribed, so the pledges already claim the whole cap
+          assert.equal(tokenBLiability, TOKEN_B_MAX_CAP);
+
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          [tokenALiability, tokenBLiability] = await airdrop.getLiabilities();
+          assert.equal(
+            tokenBLiability,
+            await airdrop.calculateScaledTokenBAmount(bigPledge + smallPledge)
+          );
+          assert(tokenBLiability <= TOKEN_B_MAX_CAP);
+
+          await airdrop.processPledgeBatch(1);
+          const user1Share = await airdrop.calculateScaledTokenBAmount(
+            bigPledge
+          );
+          const [, afterFirst] = await airdrop.getLiabilities();
+          assert.equal(afterFirst, tokenBLiability - user1Share);
+          assert.equal(
+            await airdrop.getRecoverableSurplus(await tokenB.getAddress()),
+            TOKEN_B_MAX_CAP - user1Share - afterFirst
+          );
+
+          // Per-pledge rounding dust is released once everyone is paid
+          await airdrop.processPledgeBatch(1);
+          assert.equal(await airdrop.getUnallocatedTokenB(), 0n);
+          [tokenALiability, tokenBLiability] = await airdrop.getLiabilities();
+          assert.equal(tokenALiability, 0n);
+          assert.equal(tokenBLiability, 0n);
+        });
+
+        it("keeps the cap pledges claim when withdrawing during pledging", async () => {
+          await airdrop.activateEmergencyMode();
+          const tokenBAddress = await tokenB.getAddress();
+          await expect(
+            airdrop.emergencyWithdraw(
+              tokenBAddress,
+              owner.address,
+              TOKEN_B_MAX_CAP
+            )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__InsufficientSurplus"
+          );
+
+          // Only what exceeds the cap is surplus
+          await tokenB.mint(await airdrop.getAddress(), smallPledge);
+          assert.equal(
+            await airdrop.getRecoverableSurplus(tokenBAddress),
+            smallPledge
+          );
+          await airdrop.emergencyWithdraw(
+            tokenBAddress,
+            owner.address,
+            smallPledge
+          );
+
+          await airdrop.scheduleEmergencyExit();
+          await time.increaseTo(await airdrop.getEmergencyExitTime());
+          await airdrop.exitEmergencyMode();
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(10);
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+        });
+
+        it("caps emergency withdrawals at the surplus mid-distribution", async () => {
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(1);
+          await airdrop.activateEmergencyMode();
+
+          const tokenBAddress = await tokenB.getAddress();
+          const surplus = await airdrop.getRecoverableSurplus(tokenBAddress);
+          await expect(
+            airdrop.emergencyWithdraw(
+              tokenBAddress,
+              owner.address,
+              surplus + 1n
+            )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__InsufficientSurplus"
+          );
+          await airdrop.emergencyWithdraw(
+            tokenBAddress,
+            owner.address,
+            surplus
+          );
+
+          // An emergency refund drops the pledge's TokenB liability with it
+          const [, before] = await airdrop.getLiabilities();
+          await airdrop.connect(user2).emergencyRefund();
+          const [tokenALiability, after] = await airdrop.getLiabilities();
+          assert.equal(tokenALiability, 0n);
+          assert.equal(
+            after,
+            before - (await airdrop.calculateScaledTokenBAmount(smallPledge))
+          );
+        });
+
+        it("caps recovery at the balance minus liabilities after completion", async () => {
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(10);
+
+          // The held pledge was moved to the vault, which owes it from there
+          const tokenAAddress = await tokenA.getAddress();
+          const [tokenALiability] = await airdrop.getLiabilities();
+          assert.equal(tokenALiability, 0n);
+          const surplus = await airdrop.getRecoverableSurplus(tokenAAddress);
+          assert.equal(
+            surplus,
+            await tokenA.balanceOf(await airdrop.getAddress())
+          );
+
+          await expect(
+            airdrop.recoverStuckTokens(
+              tokenAAddress,
+              owner.address,
+              surplus + 1n
+            )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__InsufficientSurplus"
+          );
+          await airdrop.recoverStuckTokens(
+            tokenAAddress,
+            owner.address,
+            surplus
+          );
+          assert.equal(await airdrop.getRecoverableSurplus(tokenAAddress), 0n);
+
+          // What is owed can still be paid out in full
+          const vault = await ethers.getContractAt(
+            "HeldPledgeVault",
+            await airdrop.getHeldPledgeVault()
+          );
+          await time.increase(Number(await vault.getReviewWindow()));
+          await expect(vault.refundHeldPledge(1, user2.address)).to.emit(
+            vault,
+            "HeldPledgeRefunded"
+          );
+        });
+
+        it("lets third-party tokens be recovered in full", async () => {
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(10);
+
+          const TokenMock = await ethers.getContractFactory("ERC20Mock");
+          const tokenC = await TokenMock.deploy("Token C", "TKC", 18);
+          const amount = ethers.parseEther("42");
+          await tokenC.mint(await airdrop.getAddress(), amount);
+
+          const tokenCAddress = await tokenC.getAddress();
+          assert.equal(
+            await airdrop.getRecoverableSurplus(tokenCAddress),
+            amount
+          );
+          await expect(
+            airdrop.recoverStuckTokens(tokenCAddress, owner.address, amount)
+          )
+            .to.emit(airdrop, "StuckTokensRecovered")
+            .withArgs(tokenCAddress, owner.address, amount);
+          assert.equal(await tokenC.balanceOf(owner.address), amount);
+        });
+      });
+
+      describe("Residual Sweep Tests", function () {
+        const pledges = [
+          ethers.parseEther("1500000"),
+          ethers.parseEther("1000000"),
+          ethers.parseEther("500000"),
+        ];
+        let pledgers;
+
+        beforeEach(async () => {
+          pledgers = [user1, user2, user3];
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("5000000")
+          );
+          for (let i = 0; i < pledgers.length; i++) {
+            await tokenA.mint(pledgers[i].address, pledges[i]);
+            await tokenA
+              .connect(pledgers[i])
+              .approve(await airdrop.getAddress(), pledges[i]);
+            await airdrop.connect(pledgers[i]).pledgeTokens(pledges[i], 0);
+          }
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+        });
+
+        it("sends the rounding residual to the project by default", async () => {
+          // 3M TokenA needs 1.5M TokenB, so the ratio floors to 6666
+          assert.equal(await airdrop.getScalingRatio(), 6666);
+          const [, recipient] = await airdrop.getResidualDestination();
+          assert.equal(recipient, owner.address);
+
+          await expect(airdrop.processPledgeBatch(10))
+            .to.emit(airdrop, "ResidualSwept")
+            .withArgs(1, owner.address, anyValue);
+
+          const [distributed, , forfeited, residual] =
+            await airdrop.getDistributionTotals(1);
+          assert.equal(forfeited, 0n);
+          assert(residual > 0n);
+          assert.equal(distributed + residual, TOKEN_B_MAX_CAP);
+          assert.equal(await tokenB.balanceOf(owner.address), residual);
+        });
+
+        it("can send the residual to the last pledger paid", async () => {
+          await expect(airdrop.setResidualDestination(1, owner.address))
+            .to.emit(airdrop, "ResidualDestinationUpdated")
+            .withArgs(1, owner.address);
+
+          await airdrop.processPledgeBatch(10);
+          const [, , , residual] = await airdrop.getDistributionTotals(1);
+          assert.equal(
+            await tokenB.balanceOf(user3.address),
+            (await airdrop.calculateScaledTokenBAmount(pledges[2])) + residual
+          );
+          assert.equal(await tokenB.balanceOf(owner.address), 0n);
+        });
+
+        it("tracks TokenA returned alongside TokenB distributed", async () => {
+          const balancesBefore = await Promise.all(
+            pledgers.map((p) => tokenA.balanceOf(p.address))
+          );
+          await airdrop.processPledgeBatch(10);
+
+          let returned = 0n;
+          for (let i = 0; i < pledgers.length; i++) {
+            returned +=
+              (await tokenA.balanceOf(pledgers[i].address)) - balancesBefore[i];
+          }
+          const [, tokenAReturned] = await airdrop.getDistributionTotals(1);
+          assert.equal(tokenAReturned, returned);
+          assert.equal(
+            await tokenA.balanceOf(await airdrop.getAddress()),
+            pledges.reduce((a, b) => a + b) - returned
+          );
+        });
+
+        it("leaves forfeited shares out of the residual", async () => {
+          await airdrop.setBlacklistStatus(user2.address, true);
+          await airdrop.processPledgeBatch(10);
+
+          const [distributed, , forfeited, residual] =
+            await airdrop.getDistributionTotals(1);
+          assert.equal(
+            forfeited,
+            await airdrop.calculateScaledTokenBAmount(pledges[1])
+          );
+          assert.equal(distributed + forfeited + residual, TOKEN_B_MAX_CAP);
+          // The forfeited share stays in the contract for the admin
+          assert.equal(
+            await airdrop.getRecoverableSurplus(await tokenB.getAddress()),
+            forfeited
+          );
+        });
+
+        it("only lets config admins choose a valid destination", async () => {
+          await expect(
+            airdrop.setResidualDestination(0, ethers.ZeroAddress)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAddress");
+          await expect(
+            airdrop.connect(user1).setResidualDestination(0, user1.address)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+      });
+
+      describe("Conservation Property Tests", function () {
+        // Small deterministic PRNG so failures can be replayed from the seed
+        const prng = (seed) => {
+          let state = BigInt(seed);
+          return (max) => {
+            state =
+              (state * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+            return (state >> 16n) % BigInt(max);
+          };
+        };
+
+        for (const seed of [1, 7, 42, 1337, 2024]) {
+          it(`conserves both tokens over random pledges (seed ${seed})`, async () => {
+            const rand = prng(seed);
+            const signers = (await ethers.getSigners()).slice(1, 16);
+            const decimalsB = [6n, 8n, 18n][Number(rand(3))];
+            const ratio = 500n + rand(20000);
+            const minPledge = ethers.parseEther("1");
+            // Random amounts with a random fractional part
+            const amounts = signers.map(
+              () => minPledge + rand(500000) * 10n ** 18n + rand(10n ** 18n)
+            );
+            const pledgedIn = amounts.reduce((a, b) => a + b);
+
+            // Anywhere from 0.15x to 1.5x of the TokenB the pledges ask for,
+            // within the contract's 10x oversubscription limit
+            const required =
+              (pledgedIn * ratio * 10n ** decimalsB) / (10000n * 10n ** 18n);
+            const cap = (required * (15n + rand(136))) / 100n;
+
+            const TokenMock = await ethers.getContractFactory("ERC20Mock");
+            const fuzzA = await TokenMock.deploy("Token A", "TKA", 18);
+            const fuzzB = await TokenMock.deploy("Token B", "TKB", decimalsB);
+            const Airdrop = await ethers.getContractFactory("Airdrop", {
+              libraries,
+            });
+            const fuzz = await Airdrop.deploy(
+              await fuzzA.getAddress(),
+              await fuzzB.getAddress(),
+              ratio,
+              cap,
+              minPledge,
+              PLEDGE_DURATION
+            );
+            const fuzzAddress = await fuzz.getAddress();
+            await fuzzB.mint(fuzzAddress, cap);
+            if (rand(2) === 1n) {
+              await fuzz.setResidualDestination(1, owner.address);
+            }
+
+            for (let i = 0; i < signers.length; i++) {
+              await fuzzA.mint(signers[i].address, amounts[i]);
+              await fuzzA.connect(signers[i]).approve(fuzzAddress, amounts[i]);
+              await fuzz.connect(signers[i]).pledgeTokens(amounts[i], 0);
+            }
+
+            await time.increase(PLEDGE_DURATION + 1);
+            await fuzz.finalizePledgePhase();
+            await fuzz.processPledgeBatch(signers.length);
+            assert.equal(await fuzz.getCurrentPhase(), 2);
+
+            let tokenBOut = await fuzzB.balanceOf(owner.address);
+            let tokenAOut = 0n;
+            for (const signer of signers) {
+              tokenBOut += await fuzzB.balanceOf(signer.address);
+              tokenAOut += await fuzzA.balanceOf(signer.address);
+            }
+            const tokenAKept = await fuzzA.balanceOf(fuzzAddress);
+            const [distributed, returned, , residual] =
+              await fuzz.getDistributionTotals(1);
+
+            // TokenB never exceeds the cap, and only unsold cap stays behind
+            assert(tokenBOut <= cap);
+            assert.equal(tokenBOut, distributed + residual);
+            let entitled = await fuzz.calculateTokenBAmount(pledgedIn);
+            if (entitled > cap) entitled = cap;
+            assert.equal(tokenBOut, entitled);
+            assert.equal(await fuzzB.balanceOf(fuzzAddress), cap - entitled);
+
+            // Every TokenA pledged is either returned or kept
+            assert.equal(pledgedIn, tokenAOut + tokenAKept);
+            assert.equal(tokenAOut, returned);
+          });
+        }
+      });
+
+      describe("Pledger Pagination Tests", function () {
+        const amounts = [
+          ethers.parseEther("1500000"),
+          ethers.parseEther("1000000"),
+          ethers.parseEther("500000"),
+        ];
+        let pledgers;
+
+        beforeEach(async () => {
+          pledgers = [user1, user2, user3];
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("5000000")
+          );
+          for (let i = 0; i < pledgers.length; i++) {
+            await tokenA.mint(pledgers[i].address, amounts[i]);
+            await tokenA
+              .connect(pledgers[i])
+              .approve(await airdrop.getAddress(), amounts[i]);
+            await airdrop.connect(pledgers[i]).pledgeTokens(amounts[i], 0);
+          }
+        });
+
+        it("pages through pledgers in order", async () => {
+          const first = await airdrop["getPledgers(uint256,uint256)"](0, 2);
+          const second = await airdrop["getPledgers(uint256,uint256)"](2, 2);
+          assert.equal(first.length, 2);
+          assert.equal(second.length, 1);
+          assert.deepEqual(
+            [...first, ...second].map((info) => info.pledger),
+            pledgers.map((p) => p.address)
+          );
+          assert.equal(second[0].tokenAAmount, amounts[2]);
+          assert.equal(
+            (await airdrop["getPledgers(uint256,uint256)"](3, 10)).length,
+            0
+          );
+        });
+
+        it("projects allocations from the implied ratio before finalization", async () => {
+          const page = await airdrop["getPledgers(uint256,uint256)"](0, 10);
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+
+          for (let i = 0; i < page.length; i++) {
+            const scaled = await airdrop.calculateScaledTokenBAmount(
+              amounts[i]
+            );
+            assert.equal(page[i].projectedTokenB, scaled);
+            assert.equal(
+              page[i].projectedRefund,
+              await airdrop.calculateTokenAToReturn(amounts[i], scaled)
+            );
+            assert(!page[i].processed);
+          }
+        });
+
+        it("matches what processing actually pays", async () => {
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+          const projected = await airdrop["getPledgers(uint256,uint256)"](
+            0,
+            10
+          );
+          await airdrop.processPledgeBatch(10);
+
+          const page = await airdrop["getPledgers(uint256,uint256,uint256)"](
+            1,
+            0,
+            10
+          );
+          for (let i = 0; i < page.length; i++) {
+            assert(page[i].processed);
+            assert.equal(
+              page[i].tokenBAllocation,
+              projected[i].projectedTokenB
+            );
+            assert.equal(page[i].projectedTokenB, projected[i].projectedTokenB);
+          }
+        });
+
+        it("projects a full refund for excluded pledges", async () => {
+          await airdrop.setBlacklistStatus(user2.address, true);
+          const page = await airdrop["getPledgers(uint256,uint256)"](1, 1);
+          assert.equal(page[0].projectedTokenB, 0n);
+          assert.equal(page[0].projectedRefund, amounts[1]);
+        });
+
+        it("exports a snapshot through the JS helper", async () => {
+          const { roundId, rows } = await fetchPledgerSnapshot(
+            airdrop,
+            undefined,
+            2
+          );
+          assert.equal(roundId, "1");
+          assert.equal(rows.length, 3);
+          assert.equal(rows[0].address, user1.address);
+          assert.equal(rows[0].tokenAPledged, amounts[0].toString());
+
+          const csv = toCsv(rows).trim().split("\n");
+          assert.equal(csv[0], SNAPSHOT_COLUMNS.join(","));
+          assert.equal(csv.length, 4);
+          assert(csv[2].startsWith(`${user2.address},${amounts[1]},`));
+        });
+      });
+
+      describe("Live Projection Tests", function () {
+        const bigPledge = ethers.parseEther("1500000");
+
+        beforeEach(async () => {
+          await applyConfigChange(
+            "setMaxPledgePerUser",
+            ethers.parseEther("5000000")
+          );
+          await tokenA.mint(user1.address, bigPledge);
+          await tokenA
+            .connect(user1)
+            .approve(await airdrop.getAddress(), bigPledge);
+        });
+
+        it("implies a full ratio while under the cap", async () => {
+          assert.equal(await airdrop.getImpliedScalingRatio(), BASIS_POINTS);
+          await airdrop
+            .connect(user1)
+            .pledgeTokens(ethers.parseEther("1000"), 0);
+          assert.equal(await airdrop.getImpliedScalingRatio(), BASIS_POINTS);
+
+          const [tokenBAmount, tokenARefund] =
+            await airdrop.getProjectedAllocation(user1.address);
+          assert.equal(tokenBAmount, ethers.parseEther("500"));
+          assert.equal(tokenARefund, 0n);
+        });
+
+        it("tracks the ratio as the round becomes oversubscribed", async () => {
+          await airdrop.connect(user1).pledgeTokens(bigPledge, 0);
+          await tokenA.mint(user2.address, ethers.parseEther("990000"));
+          await tokenA
+            .connect(user2)
+            .approve(await airdrop.getAddress(), ethers.parseEther("1000000"));
+          await airdrop
+            .connect(user2)
+            .pledgeTokens(ethers.parseEther("1000000"), 0);
+
+          // 2.5M TokenA needs 1.25M TokenB against a 1M cap
+          assert.equal(await airdrop.getImpliedScalingRatio(), 8000);
+          const [tokenBAmount, tokenARefund] =
+            await airdrop.getProjectedAllocation(user1.address);
+          assert.equal(tokenBAmount, ethers.parseEther("600000"));
+          assert.equal(tokenARefund, ethers.parseEther("300000"));
+
+          // The projection is exactly what finalization then pays
+          await time.increase(PLEDGE_DURATION + 1);
+          await airdrop.finalizePledgePhase();
+          assert.equal(await airdrop.getImpliedScalingRatio(), 8000);
+          const balanceBefore = await tokenA.balanceOf(user1.address);
+          await airdrop.processPledgeBatch(10);
+          assert.equal(await tokenB.balanceOf(user1.address), tokenBAmount);
+          assert.equal(
+            (await tokenA.balanceOf(user1.address)) - balanceBefore,
+            tokenARefund
+          );
+        });
+
+        it("enforces minScalingRatio against the live ratio", async () => {
+          await airdrop.connect(user1).pledgeTokens(bigPledge, 0);
+
+          // Another 1M TokenA would leave the round at a 0.8 ratio
+          await expect(
+            airdrop
+              .connect(user2)
+              .pledgeTokens(ethers.parseEther("1000"), BASIS_POINTS)
+          ).to.not.be.reverted;
+          await tokenA.mint(user3.address, ethers.parseEther("1000000"));
+          await tokenA
+            .connect(user3)
+            .approve(await airdrop.getAddress(), ethers.parseEther("1000000"));
+          await expect(
+            airdrop
+              .connect(user3)
+              .pledgeTokens(ethers.parseEther("1000000"), 8100)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__ScalingRatioTooLow"
+          );
+          await expect(
+            airdrop
+              .connect(user3)
+              .pledgeTokens(ethers.parseEther("1000000"), 7900)
+          ).to.not.be.reverted;
+        });
+
+        it("projects nothing for users without a pledge", async () => {
+          const [tokenBAmount, tokenARefund] =
+            await airdrop.getProjectedAllocation(user4.address);
+          assert.equal(tokenBAmount, 0n);
+          assert.equal(tokenARefund, 0n);
+        });
+      });
+
+      describe("Native ETH Pledge Tests", function () {
+        const WETH_CAP = ethers.parseEther("100");
+        const ETH_PLEDGE = ethers.parseEther("200");
+        let weth, wethAirdrop;
+
+        beforeEach(async () => {
+          const WETH = await ethers.getContractFactory("WETH9Mock");
+          weth = await WETH.deploy();
+          const Airdrop = await ethers.getContractFactory("Airdrop", {
+            libraries,
+          });
+          wethAirdrop = await Airdrop.deploy(
+            await weth.getAddress(),
+            await tokenB.getAddress(),
+            CONVERSION_RATIO,
+            WETH_CAP,
+            MIN_PLEDGE_AMOUNT,
+            PLEDGE_DURATION
+          );
+          await tokenB.mint(await wethAirdrop.getAddress(), WETH_CAP);
+          await expect(wethAirdrop.setNativePledging(true))
+            .to.emit(wethAirdrop, "NativePledgingUpdated")
+            .withArgs(true);
+        });
+
+        it("wraps ETH into TokenA in the same call", async () => {
+          await expect(
+            wethAirdrop.connect(user1).pledgeETH(0, { value: ETH_PLEDGE })
+          )
+            .to.emit(wethAirdrop, "PledgeSubmitted")
+            .withArgs(1, user1.address, ETH_PLEDGE, anyValue);
+
+          assert.equal(
+            await weth.balanceOf(await wethAirdrop.getAddress()),
+            ETH_PLEDGE
+          );
+          assert.equal(
+            await ethers.provider.getBalance(await wethAirdrop.getAddress()),
+            0n
+          );
+          const pledge = await wethAirdrop.getUserPledge(user1.address);
+          assert.equal(pledge.tokenAAmount, ETH_PLEDGE);
+        });
+
+        it("refunds excess TokenA as ETH to native pledgers", async () => {
+          await wethAirdrop.connect(user1).pledgeETH(0, { value: ETH_PLEDGE });
+          await weth.connect(user2).deposit({ value: ETH_PLEDGE });
+          await weth
+            .connect(user2)
+            .approve(await wethAirdrop.getAddress(), ETH_PLEDGE);
+          await wethAirdrop.connect(user2).pledgeTokens(ETH_PLEDGE, 0);
+
+          await time.increase(PLEDGE_DURATION + 1);
+          await wethAirdrop.finalizePledgePhase();
+          assert.equal(await wethAirdrop.getScalingRatio(), 5000);
+
+          // Half of each pledge comes back: ETH for user1, WETH for user2
+          const refund = ETH_PLEDGE / 2n;
+          await expect(
+            wethAirdrop.processPledgeBatch(10)
+          ).to.changeEtherBalances([user1, user2], [refund, 0n]);
+          assert.equal(await weth.balanceOf(user1.address), 0n);
+          assert.equal(await weth.balanceOf(user2.address), refund);
+          assert.equal(
+            await ethers.provider.getBalance(await wethAirdrop.getAddress()),
+            0n
+          );
+        });
+
+        it("falls back to WETH when the pledger rejects ETH", async () => {
+          const Rejecter = await ethers.getContractFactory("RejectETHMock");
+          const rejecter = await Rejecter.deploy();
+          await rejecter.pledgeETH(await wethAirdrop.getAddress(), 0, {
+            value: ETH_PLEDGE,
+          });
+          await wethAirdrop.connect(user1).pledgeETH(0, { value: ETH_PLEDGE });
+
+          await time.increase(PLEDGE_DURATION + 1);
+          await wethAirdrop.finalizePledgePhase();
+
+          const refund = ETH_PLEDGE / 2n;
+          await expect(wethAirdrop.processPledgeBatch(10))
+            .to.emit(wethAirdrop, "NativeRefundFailed")
+            .withArgs(1, await rejecter.getAddress(), refund);
+
+          // The batch still completes and user1 is paid after the rejecter
+          assert.equal(await wethAirdrop.getCurrentPhase(), 2);
+          assert.equal(
+            await weth.balanceOf(await rejecter.getAddress()),
+            refund
+          );
+          assert.equal(
+            await tokenB.balanceOf(await rejecter.getAddress()),
+            ETH_PLEDGE / 4n
+          );
+          assert.equal(await weth.balanceOf(user1.address), 0n);
+        });
+
+        it("rejects ETH pledges unless enabled", async () => {
+          await wethAirdrop.setNativePledging(false);
+          await expect(
+            wethAirdrop.connect(user1).pledgeETH(0, { value: ETH_PLEDGE })
+          ).to.be.revertedWithCustomError(
+            wethAirdrop,
+            "Airdrop__NativeNotSupported"
+          );
+          await expect(
+            airdrop.connect(user1).pledgeETH(0, { value: ETH_PLEDGE })
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__NativeNotSupported"
+          );
+          await expect(
+            wethAirdrop.connect(user1).setNativePledging(true)
+          ).to.be.revertedWithCustomError(
+            wethAirdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+
+        it("applies the usual pledge checks to ETH pledges", async () => {
+          await expect(
+            wethAirdrop
+              .connect(user1)
+              .pledgeETH(0, { value: MIN_PLEDGE_AMOUNT - 1n })
+          ).to.be.revertedWithCustomError(
+            wethAirdrop,
+            "Airdrop__PledgeAmountTooLow"
+          );
+          // 400 ETH against a 100 TokenB cap leaves the ratio at 5000
+          await expect(
+            wethAirdrop
+              .connect(user1)
+              .pledgeETH(BASIS_POINTS, { value: ETH_PLEDGE * 2n })
+          ).to.be.revertedWithCustomError(
+            wethAirdrop,
+            "Airdrop__ScalingRatioTooLow"
+          );
+        });
+
+        it("only accepts plain ETH from the WETH contract", async () => {
+          await expect(
+            user1.sendTransaction({
+              to: await wethAirdrop.getAddress(),
+              value: 1n,
+            })
+          ).to.be.revertedWithCustomError(
+            wethAirdrop,
+            "Airdrop__InvalidAddress"
+          );
+        });
+      });
+
+      describe("Pledge Timeline Tests", function () {
+        const MAX_PLEDGE_DURATION = 90 * 24 * 60 * 60;
+        const pledgeAmount = ethers.parseEther("1000");
+
+        it("extends the deadline up to the maximum duration", async () => {
+          const start = await airdrop["getPledgeStart()"]();
+          const deadline = await airdrop["getPledgeDeadline()"]();
+          assert.equal(
+            await airdrop.getMaxPledgeDuration(),
+            MAX_PLEDGE_DURATION
+          );
+
+          const newDeadline = deadline + 86400n;
+          await expect(airdrop.extendPledgeDeadline(newDeadline))
+            .to.emit(airdrop, "PledgeDeadlineExtended")
+            .withArgs(1, deadline, newDeadline);
+          assert.equal(await airdrop["getPledgeDeadline()"](), newDeadline);
+
+          await expect(
+            airdrop.extendPledgeDeadline(newDeadline)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidTimestamp");
+          await expect(
+            airdrop.extendPledgeDeadline(
+              start + BigInt(MAX_PLEDGE_DURATION) + 1n
+            )
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidTimestamp");
+          await airdrop.extendPledgeDeadline(
+            start + BigInt(MAX_PLEDGE_DURATION)
+          );
+
+          // Pledging stays open past the original deadline
+          await time.increaseTo(deadline + 1n);
+          await expect(airdrop.connect(user1).pledgeTokens(pledgeAmount, 0)).to
+            .not.be.reverted;
+          await expect(
+            airdrop.finalizePledgePhase()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__DeadlineNotReached"
+          );
+        });
+
+        it("cannot extend a deadline that has already passed", async () => {
+          const deadline = await airdrop["getPledgeDeadline()"]();
+          await time.increaseTo(deadline + 1n);
+          await expect(
+            airdrop.extendPledgeDeadline(deadline + 86400n)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__DeadlinePassed");
+        });
+
+        it("closes pledging early and allows finalizing", async () => {
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await time.increase(
+            Number(await airdrop.getMinPhaseTransitionTime())
+          );
+
+          await expect(airdrop.closePledgingEarly())
+            .to.emit(airdrop, "PledgingClosedEarly")
+            .withArgs(1, anyValue);
+          await expect(
+            airdrop.connect(user2).pledgeTokens(pledgeAmount, 0)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__DeadlinePassed");
+          await expect(
+            airdrop.closePledgingEarly()
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__DeadlinePassed");
+
+          await expect(airdrop.finalizePledgePhase())
+            .to.emit(airdrop, "PhaseUpdated")
+            .withArgs(1, 1);
+        });
+
+        it("still waits out the minimum transition time after closing early", async () => {
+          await airdrop.closePledgingEarly();
+          await expect(
+            airdrop.finalizePledgePhase()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__PhaseTransitionTooEarly"
+          );
+          const [upkeepNeeded] = await airdrop.checkUpkeep("0x");
+          assert.equal(upkeepNeeded, false);
+        });
+
+        it("rejects pledges before the scheduled start", async () => {
+          const startTime = BigInt(await time.latest()) + 86400n;
+          await expect(airdrop.schedulePledgeStart(startTime))
+            .to.emit(airdrop, "PledgeStartScheduled")
+            .withArgs(1, startTime);
+          assert.equal(await airdrop["getPledgeStart()"](), startTime);
+
+          await expect(
+            airdrop.connect(user1).pledgeTokens(pledgeAmount, 0)
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__PledgingNotStarted"
+          );
+
+          await time.increaseTo(startTime);
+          await expect(airdrop.connect(user1).pledgeTokens(pledgeAmount, 0)).to
+            .not.be.reverted;
+        });
+
+        it("measures the maximum duration from the scheduled start", async () => {
+          const startTime = BigInt(await time.latest()) + 86400n;
+          await airdrop.schedulePledgeStart(startTime);
+          await expect(
+            airdrop.extendPledgeDeadline(
+              startTime + BigInt(MAX_PLEDGE_DURATION)
+            )
+          ).to.not.be.reverted;
+        });
+
+        it("only schedules a start before anyone has pledged", async () => {
+          const deadline = await airdrop["getPledgeDeadline()"]();
+          const latest = BigInt(await time.latest());
+          await expect(
+            airdrop.schedulePledgeStart(latest - 1n)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidTimestamp");
+          await expect(
+            airdrop.schedulePledgeStart(deadline)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidTimestamp");
+
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await expect(
+            airdrop.schedulePledgeStart(latest + 86400n)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidTimestamp");
+        });
+
+        it("restricts timeline changes to config admins", async () => {
+          const deadline = await airdrop["getPledgeDeadline()"]();
+          for (const call of [
+            () => airdrop.connect(user1).extendPledgeDeadline(deadline + 1n),
+            () => airdrop.connect(user1).closePledgingEarly(),
+            () => airdrop.connect(user1).schedulePledgeStart(deadline - 1n),
+          ]) {
+            await expect(call()).to.be.revertedWithCustomError(
+              airdrop,
+              "AccessControlUnauthorizedAccount"
+            );
+          }
+        });
+      });
+
+      describe("Pause and Emergency Exit Tests", function () {
+        const EMERGENCY_EXIT_DELAY = 3 * 24 * 60 * 60;
+        const pledgeAmount = ethers.parseEther("1000");
+
+        const leaveEmergency = async () => {
+          await expect(airdrop.scheduleEmergencyExit()).to.emit(
+            airdrop,
+            "EmergencyExitScheduled"
+          );
+          await time.increase(EMERGENCY_EXIT_DELAY);
+          await expect(airdrop.exitEmergencyMode())
+            .to.emit(airdrop, "EmergencyModeDeactivated")
+            .withArgs(owner.address);
+        };
+
+        // Finalizes and processes the round, checking each step goes through
+        const finishRound = async () => {
+          await passPledgeDeadline();
+          await expect(airdrop.finalizePledgePhase()).to.not.be.reverted;
+          await expect(airdrop.processPledgeBatch(10)).to.not.be.reverted;
+          assert.equal(await airdrop.getCurrentPhase(), 2); // COMPLETED
+          assert.equal(
+            await tokenB.balanceOf(user1.address),
+            await airdrop.calculateScaledTokenBAmount(pledgeAmount)
+          );
+        };
+
+        it("pauses and resumes pledging", async () => {
+          await expect(airdrop.pause())
+            .to.emit(airdrop, "Paused")
+            .withArgs(owner.address);
+          await expect(
+            airdrop.connect(user1).pledgeTokens(pledgeAmount, 0)
+          ).to.be.revertedWithCustomError(airdrop, "EnforcedPause");
+
+          await expect(airdrop.unpause())
+            .to.emit(airdrop, "Unpaused")
+            .withArgs(owner.address);
+          assert.equal(await airdrop.isEmergencyMode(), false);
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await finishRound();
+        });
+
+        it("pauses finalization and batch processing", async () => {
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await airdrop.connect(user2).pledgeTokens(pledgeAmount, 0);
+          await passPledgeDeadline();
+
+          await airdrop.pause();
+          await expect(
+            airdrop.finalizePledgePhase()
+          ).to.be.revertedWithCustomError(airdrop, "EnforcedPause");
+          await airdrop.unpause();
+          await airdrop.finalizePledgePhase();
+
+          await airdrop.pause();
+          await expect(
+            airdrop.processPledgeBatch(1)
+          ).to.be.revertedWithCustomError(airdrop, "EnforcedPause");
+          const [upkeepNeeded] = await airdrop.checkUpkeep("0x");
+          assert.equal(upkeepNeeded, false);
+
+          await airdrop.unpause();
+          await airdrop.processPledgeBatch(1);
+          await airdrop.processPledgeBatch(1);
+          assert.equal(await airdrop.getCurrentPhase(), 2);
+        });
+
+        it("restricts pausing to guardians", async () => {
+          await expect(
+            airdrop.connect(user1).pause()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          await airdrop.pause();
+          await expect(
+            airdrop.connect(user1).unpause()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+
+        it("cannot unpause out of emergency mode", async () => {
+          await airdrop.activateEmergencyMode();
+          await expect(airdrop.unpause()).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__EmergencyOnly"
+          );
+        });
+
+        it("activates emergency mode on top of a pause", async () => {
+          await airdrop.pause();
+          await expect(airdrop.activateEmergencyMode()).to.emit(
+            airdrop,
+            "EmergencyModeActivated"
+          );
+          assert.equal(await airdrop.paused(), true);
+        });
+
+        it("only exits emergency mode after the delay", async () => {
+          await expect(
+            airdrop.scheduleEmergencyExit()
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__EmergencyOnly");
+
+          await airdrop.activateEmergencyMode();
+          await expect(
+            airdrop.exitEmergencyMode()
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__NoPendingChange");
+
+          await airdrop.scheduleEmergencyExit();
+          const exitTime = await airdrop.getEmergencyExitTime();
+          assert.equal(
+            exitTime,
+            BigInt(await time.latest()) + BigInt(EMERGENCY_EXIT_DELAY)
+          );
+          await time.increaseTo(exitTime - 10n);
+          await expect(
+            airdrop.exitEmergencyMode()
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__ChangeNotReady");
+          await expect(
+            airdrop.connect(user1).exitEmergencyMode()
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+
+          await time.increaseTo(exitTime);
+          await airdrop.exitEmergencyMode();
+          assert.equal(await airdrop.isEmergencyMode(), false);
+          assert.equal(await airdrop.paused(), false);
+          assert.equal(await airdrop.getEmergencyExitTime(), 0n);
+        });
+
+        it("resumes pledging with the time lost added to the deadline", async () => {
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          const deadline = await airdrop["getPledgeDeadline()"]();
+
+          await airdrop.activateEmergencyMode();
+          const activatedAt = BigInt(await time.latest());
+          // Let the original deadline pass while halted
+          await time.increaseTo(deadline + 1n);
+          await airdrop.scheduleEmergencyExit();
+          await time.increase(EMERGENCY_EXIT_DELAY);
+          await airdrop.exitEmergencyMode();
+
+          const exitedAt = BigInt(await time.latest());
+          assert.equal(
+            await airdrop["getPledgeDeadline()"](),
+            deadline + exitedAt - activatedAt
+          );
+          await expect(airdrop.connect(user2).pledgeTokens(pledgeAmount, 0)).to
+            .not.be.reverted;
+          await finishRound();
+        });
+
+        it("resumes batch processing after an emergency mid-distribution", async () => {
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await airdrop.connect(user2).pledgeTokens(pledgeAmount, 0);
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(1);
+
+          await airdrop.activateEmergencyMode();
+          const deadline = await airdrop["getPledgeDeadline()"]();
+          await leaveEmergency();
+          // Only a pledge window is extended
+          assert.equal(await airdrop["getPledgeDeadline()"](), deadline);
+          assert.equal(await airdrop.getCurrentPhase(), 1); // DISTRIBUTION
+
+          await airdrop.processPledgeBatch(1);
+          assert.equal(await airdrop.getCurrentPhase(), 2);
+          assert.equal(
+            await tokenB.balanceOf(user2.address),
+            await airdrop.calculateScaledTokenBAmount(pledgeAmount)
+          );
+        });
+
+        it("keeps emergency refunds out of the resumed round", async () => {
+          await airdrop.connect(user1).pledgeTokens(pledgeAmount, 0);
+          await airdrop.connect(user2).pledgeTokens(pledgeAmount, 0);
+
+          await airdrop.activateEmergencyMode();
+          await airdrop.connect(user2).emergencyRefund();
+          await leaveEmergency();
+
+          assert.equal(await airdrop.getTotalPledged(), pledgeAmount);
+          assert.equal(await airdrop.getPledgersCount(), 1);
+          await finishRound();
+          assert.equal(await tokenB.balanceOf(user2.address), 0n);
+        });
+      });
+
+      describe("Fee-on-Transfer Tests", function () {
+        const FEE_BPS = 100n; // 1%
+        const FEE_CAP = ethers.parseEther("1000");
+        let feeToken, feeAirdrop;
+
+        const net = (amount) => amount - (amount * FEE_BPS) / 10000n;
+
+        const pledgeWithFee = async (user, amount) => {
+          await feeToken.mint(user.address, amount);
+          await feeToken
+            .connect(user)
+            .approve(await feeAirdrop.getAddress(), amount);
+          return feeAirdrop.connect(user).pledgeTokens(amount, 0);
+        };
+
+        beforeEach(async () => {
+          const FeeToken = await ethers.getContractFactory("FeeOnTransferMock");
+          feeToken = await FeeToken.deploy("Fee Token", "FEE", 18, FEE_BPS);
+          const Airdrop = await ethers.getContractFactory("Airdrop", {
+            libraries,
+          });
+          feeAirdrop = await Airdrop.deploy(
+            await feeToken.getAddress(),
+            await tokenB.getAddress(),
+            CONVERSION_RATIO,
+            FEE_CAP,
+            MIN_PLEDGE_AMOUNT,
+            PLEDGE_DURATION
+          );
+          await tokenB.mint(await feeAirdrop.getAddress(), FEE_CAP);
+        });
+
+        it("rejects fee-taking transfers by default", async () => {
+          assert.equal(await feeAirdrop.isFeeOnTransferAllowed(), false);
+          await expect(
+            pledgeWithFee(user1, ethers.parseEther("1000"))
+          ).to.be.revertedWithCustomError(
+            feeAirdrop,
+            "Airdrop__FeeOnTransferNotAllowed"
+          );
+        });
+
+        it("credits the amount actually received once opted in", async () => {
+          await expect(feeAirdrop.setFeeOnTransferAllowed(true))
+            .to.emit(feeAirdrop, "FeeOnTransferPolicyUpdated")
+            .withArgs(true);
+
+          const amount = ethers.parseEther("1000");
+          await expect(pledgeWithFee(user1, amount))
+            .to.emit(feeAirdrop, "PledgeSubmitted")
+            .withArgs(1, user1.address, net(amount), anyValue);
+
+          const pledge = await feeAirdrop.getUserPledge(user1.address);
+          assert.equal(pledge.tokenAAmount, net(amount));
+          assert.equal(await feeAirdrop.getTotalPledged(), net(amount));
+          assert.equal(
+            await feeToken.balanceOf(await feeAirdrop.getAddress()),
+            net(amount)
+          );
+        });
+
+        it("checks the minimum pledge against the amount received", async () => {
+          await feeAirdrop.setFeeOnTransferAllowed(true);
+          await expect(
+            pledgeWithFee(user1, MIN_PLEDGE_AMOUNT)
+          ).to.be.revertedWithCustomError(
+            feeAirdrop,
+            "Airdrop__PledgeAmountTooLow"
+          );
+        });
+
+        it("pays every refund of an oversubscribed round", async () => {
+          await feeAirdrop.setFeeOnTransferAllowed(true);
+          const pledgers = [user1, user2, user3];
+          const amounts = [
+            ethers.parseEther("1500"),
+            ethers.parseEther("700"),
+            ethers.parseEther("333"),
+          ];
+          for (let i = 0; i < pledgers.length; i++) {
+            await pledgeWithFee(pledgers[i], amounts[i]);
+          }
+          const totalReceived = amounts.map(net).reduce((a, b) => a + b);
+          assert.equal(await feeAirdrop.getTotalPledged(), totalReceived);
+
+          await time.increase(PLEDGE_DURATION + 1);
+          await feeAirdrop.finalizePledgePhase();
+          // The ratio is set from what was received, not what was requested
+          assert.equal(
+            await feeAirdrop.getScalingRatio(),
+            (FEE_CAP * BigInt(BASIS_POINTS)) /
+              (await feeAirdrop.calculateTokenBAmount(totalReceived))
+          );
+          await feeAirdrop.processPledgeBatch(10);
+          assert.equal(await feeAirdrop.getCurrentPhase(), 2);
+
+          // Every refund left the contract; only the consumed TokenA remains
+          const [distributed, returned] =
+            await feeAirdrop.getDistributionTotals(1);
+          assert(distributed <= FEE_CAP);
+          assert.equal(
+            await feeToken.balanceOf(await feeAirdrop.getAddress()),
+            totalReceived - returned
+          );
+          const [tokenALiability] = await feeAirdrop.getLiabilities();
+          assert.equal(tokenALiability, 0n);
+        });
+
+        it("only lets config admins change the policy", async () => {
+          await expect(
+            feeAirdrop.connect(user1).setFeeOnTransferAllowed(true)
+          ).to.be.revertedWithCustomError(
+            feeAirdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+        });
+      });
+
+      describe("Early-Bird Bonus Tests", function () {
+        const MAX_BONUS = 5000; // +50% at the start of the window
+        const BONUS_CAP = ethers.parseEther("1000");
+        let bonusAirdrop, start, deadline;
+
+        const weightAt = (timestamp) =>
+          BigInt(BASIS_POINTS) +
+          (BigInt(MAX_BONUS) * (deadline - timestamp)) / (deadline - start);
+
+        const pledgeAt = async (user, amount, timestamp) => {
+          await time.setNextBlockTimestamp(timestamp);
+          await bonusAirdrop.connect(user).pledgeTokens(amount, 0);
+        };
+
+        beforeEach(async () => {
+          const Airdrop = await ethers.getContractFactory("Airdrop", {
+            libraries,
+          });
+          bonusAirdrop = await Airdrop.deploy(
+            await tokenA.getAddress(),
+            await tokenB.getAddress(),
+            CONVERSION_RATIO,
+            BONUS_CAP,
+            MIN_PLEDGE_AMOUNT,
+            PLEDGE_DURATION
+          );
+          await tokenB.mint(await bonusAirdrop.getAddress(), BONUS_CAP);
+          for (const user of [user1, user2]) {
+            await tokenA
+              .connect(user)
+              .approve(await bonusAirdrop.getAddress(), ethers.MaxUint256);
+          }
+
+          await bonusAirdrop.setEarlyBirdBonus(MAX_BONUS);
+          await time.increase(CONFIG_DELAY);
+          await expect(
+            bonusAirdrop.executeConfigChange(ConfigParam.EARLY_BIRD_BONUS)
+          )
+            .to.emit(bonusAirdrop, "EarlyBirdBonusUpdated")
+            .withArgs(MAX_BONUS);
+
+          // Restart the window so the curve is measured from a known point
+          start = BigInt(await time.latest()) + 60n;
+          await bonusAirdrop.schedulePledgeStart(start);
+          deadline = await bonusAirdrop["getPledgeDeadline()"]();
+        });
+
+        it("weights deposits by how early they are made", async () => {
+          const amount = ethers.parseEther("1000");
+          const halfway = start + (deadline - start) / 2n;
+          await pledgeAt(user1, amount, start);
+          await pledgeAt(user2, amount, halfway);
+
+          const [weighted1, weight1] = await lens.getPledgeWeight(
+            bonusAirdrop,
+            user1.address
+          );
+          assert.equal(weight1, BigInt(BASIS_POINTS + MAX_BONUS));
+          assert.equal(weighted1, (amount * 15n) / 10n);
+
+          const [weighted2, weight2] = await lens.getPledgeWeight(
+            bonusAirdrop,
+            user2.address
+          );
+          assert.equal(weight2, weightAt(halfway));
+          assert.equal(
+            weighted2,
+            (amount * weightAt(halfway)) / BigInt(BASIS_POINTS)
+          );
+
+          const [deposit] = await bonusAirdrop.getDeposits(1, user2.address);
+          assert.equal(deposit.amount, amount);
+          assert.equal(deposit.weightedAmount, weighted2);
+          assert.equal(deposit.timestamp, halfway);
+        });
+
+        it("gives no bonus at the deadline or with the bonus off", async () => {
+          await pledgeAt(user1, ethers.parseEther("1000"), deadline);
+          const [, weight] = await lens.getPledgeWeight(
+            bonusAirdrop,
+            user1.address
+          );
+          assert.equal(weight, BigInt(BASIS_POINTS));
+
+          const [, defaultWeight] = await lens.getPledgeWeight(
+            airdrop,
+            user1.address
+          );
+          assert.equal(defaultWeight, 0n);
+          assert.equal(
+            await lens.getCurrentPledgeWeight(airdrop),
+            BigInt(BASIS_POINTS)
+          );
+        });
+
+        it("scales over weighted totals without exceeding the cap", async () => {
+          const amount = ethers.parseEther("2000");
+          await pledgeAt(user1, amount, start);
+          await pledgeAt(user2, amount, start + (deadline - start) / 2n);
+
+          // Weighted 3000 + 2500 TokenA needs 2750 TokenB against a 1000 cap
+          const [weighted1] = await lens.getPledgeWeight(
+            bonusAirdrop,
+            user1.address
+          );
+          const [weighted2] = await lens.getPledgeWeight(
+            bonusAirdrop,
+            user2.address
+          );
+          const required = await bonusAirdrop.calculateTokenBAmount(
+            weighted1 + weighted2
+          );
+          const expectedRatio = (BONUS_CAP * BigInt(BASIS_POINTS)) / required;
+          assert.equal(
+            await bonusAirdrop.getImpliedScalingRatio(),
+            expectedRatio
+          );
+
+          const [projected1, refund1] =
+            await bonusAirdrop.getProjectedAllocation(user1.address);
+          const [projected2, refund2] =
+            await bonusAirdrop.getProjectedAllocation(user2.address);
+          assert(projected1 > projected2);
+          // Both paid the same TokenA, so they get the same TokenA back
+          assert.equal(refund1, refund2);
+          const bonus1 = await lens.getProjectedBonus(
+            bonusAirdrop,
+            user1.address
+          );
+          // Starting at the full bonus, a third of user1's TokenB is bonus
+          const unweighted =
+            ((await bonusAirdrop.calculateTokenBAmount(amount)) *
+              expectedRatio) /
+            BigInt(BASIS_POINTS);
+          assert.closeTo(projected1 - bonus1, unweighted, 1n);
+          assert.closeTo(bonus1, projected1 / 3n, 1n);
+
+          await time.increaseTo(deadline + 1n);
+          await bonusAirdrop.finalizePledgePhase();
+          assert.equal(await bonusAirdrop.getScalingRatio(), expectedRatio);
+
+          const balancesBefore = await Promise.all(
+            [user1, user2].map((u) => tokenB.balanceOf(u.address))
+          );
+          await bonusAirdrop.processPledgeBatch(10);
+          assert.equal(
+            (await tokenB.balanceOf(user1.address)) - balancesBefore[0],
+            projected1
+          );
+          assert.equal(
+            (await tokenB.balanceOf(user2.address)) - balancesBefore[1],
+            projected2
+          );
+
+          const [distributed, returned, , residual] =
+            await bonusAirdrop.getDistributionTotals(1);
+          assert(distributed <= BONUS_CAP);
+          assert.equal(distributed + residual, BONUS_CAP);
+          assert.equal(returned, refund1 + refund2);
+        });
+
+        it("builds Merkle leaves that include the bonus", async () => {
+          await pledgeAt(user1, ethers.parseEther("2000"), start);
+          await pledgeAt(user2, ethers.parseEther("2000"), deadline);
+          await time.increaseTo(deadline + 1n);
+          await bonusAirdrop.finalizePledgePhase();
+
+          const allocations = await buildAllocationsFromEvents(bonusAirdrop);
+          const { root, claims } = buildMerkleTree(allocations);
+          await bonusAirdrop.setMerkleRoot(root);
+
+          const [projected] = await bonusAirdrop.getProjectedAllocation(
+            user1.address
+          );
+          assert.equal(claims[user1.address].tokenBAmount, projected);
+          await expect(
+            bonusAirdrop.connect(user1).claim(claims[user1.address].proof)
+          )
+            .to.emit(bonusAirdrop, "TokensDistributed")
+            .withArgs(1, user1.address, projected, anyValue);
+        });
+
+        it("withdraws the latest deposits first", async () => {
+          const amount = ethers.parseEther("1000");
+          await pledgeAt(user1, amount, start);
+          const later =
+            start + BigInt(await bonusAirdrop.getCooldownPeriod()) + 1n;
+          await pledgeAt(user1, amount, later);
+          assert.equal(
+            (await bonusAirdrop.getDeposits(1, user1.address)).length,
+            2
+          );
+
+          // The later, smaller-bonus deposit goes first
+          await bonusAirdrop.connect(user1).withdrawPledge(amount);
+          let deposits = await bonusAirdrop.getDeposits(1, user1.address);
+          assert.equal(deposits.length, 1);
+          assert.equal(deposits[0].timestamp, start);
+          let [weighted] = await lens.getPledgeWeight(
+            bonusAirdrop,
+            user1.address
+          );
+          assert.equal(weighted, (amount * 15n) / 10n);
+
+          await bonusAirdrop
+            .connect(user1)
+            .withdrawPledge(ethers.parseEther("400"));
+          deposits = await bonusAirdrop.getDeposits(1, user1.address);
+          assert.equal(deposits[0].amount, ethers.parseEther("600"));
+          [weighted] = await lens.getPledgeWeight(bonusAirdrop, user1.address);
+          assert.equal(weighted, ethers.parseEther("900"));
+          assert.equal(
+            await bonusAirdrop.getImpliedScalingRatio(),
+            BigInt(BASIS_POINTS)
+          );
+        });
+
+        it("bounds the bonus and restricts it to config admins", async () => {
+          await expect(
+            bonusAirdrop.setEarlyBirdBonus(BASIS_POINTS + 1)
+          ).to.be.revertedWithCustomError(
+            bonusAirdrop,
+            "Airdrop__InvalidAmount"
+          );
+          await expect(
+            bonusAirdrop.connect(user1).setEarlyBirdBonus(1000)
+          ).to.be.revertedWithCustomError(
+            bonusAirdrop,
+            "AccessControlUnauthorizedAccount"
+          );
+          assert.equal(await bonusAirdrop.getEarlyBirdBonus(), MAX_BONUS);
+        });
+      });
+
+      describe("Pledge For and Referral Tests", function () {
+        const amount = ethers.parseEther("1000");
+        const REWARD_RATE = 1000; // 10% of referred TokenB
+
+        beforeEach(async () => {
+          for (const beneficiary of [user3, user4]) {
+            await airdrop
+              .connect(beneficiary)
+              .setPledgePayer(user1.address, true);
+            await airdrop
+              .connect(beneficiary)
+              .setPledgePayer(user2.address, true);
+          }
+        });
+
+        it("pledges for a beneficiary who owns the pledge", async () => {
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeFor(user3.address, amount, 0, ethers.ZeroAddress)
+          )
+            .to.emit(airdrop, "PledgeSubmitted")
+            .withArgs(1, user3.address, amount, anyValue);
+
+          assert.equal(
+            await tokenA.balanceOf(user1.address),
+            ethers.parseEther("9000")
+          );
+          const [beneficiaryAmount] = await airdrop["getUserPledge(address)"](
+            user3.address
+          );
+          const [payerAmount] = await airdrop["getUserPledge(address)"](
+            user1.address
+          );
+          assert.equal(beneficiaryAmount, amount);
+          assert.equal(payerAmount, 0n);
+
+          // Withdrawals and payouts go to the beneficiary, not the payer
+          await airdrop.connect(user3).withdrawPledge(ethers.parseEther("400"));
+          assert.equal(
+            await tokenA.balanceOf(user3.address),
+            ethers.parseEther("400")
+          );
+
+          await passPledgeDeadline();
+          await airdrop.finalizePledgePhase();
+          await airdrop.processPledgeBatch(10);
+          assert.equal(
+            await tokenB.balanceOf(user3.address),
+            await airdrop.calculateScaledTokenBAmount(ethers.parseEther("600"))
+          );
+          assert.equal(await tokenB.balanceOf(user1.address), 0n);
+        });
+
+        it("applies blacklist, cap and cooldown checks to the beneficiary", async () => {
+          await airdrop.setBlacklistStatus(user3.address, true);
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeFor(user3.address, amount, 0, ethers.ZeroAddress)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAddress");
+          await airdrop.setBlacklistStatus(user3.address, false);
+
+          await applyConfigChange("setMaxPledgePerUser", amount);
+          await airdrop
+            .connect(user1)
+            .pledgeFor(
+              user3.address,
+              ethers.parseEther("800"),
+              0,
+              user5.address
+            );
+
+          // Another payer still hits the beneficiary's cooldown and cap
+          await expect(
+            airdrop
+              .connect(user2)
+              .pledgeFor(user3.address, MIN_PLEDGE_AMOUNT, 0, user5.address)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidTimestamp");
+          await time.increase(await airdrop.getCooldownPeriod());
+          await expect(
+            airdrop
+              .connect(user2)
+              .pledgeFor(
+                user3.address,
+                ethers.parseEther("300"),
+                0,
+                user5.address
+              )
+          ).to.be.revertedWithCustomError(
+            airdrop,
+            "Airdrop__MaxPledgeExceeded"
+          );
+
+          // The payer's own allowance is untouched
+          await airdrop.connect(user1).pledgeTokens(amount, 0);
+        });
+
+        it("only accepts payers the beneficiary approved", async () => {
+          await expect(
+            airdrop.connect(user3).setPledgePayer(user2.address, false)
+          )
+            .to.emit(airdrop, "PledgePayerUpdated")
+            .withArgs(user3.address, user2.address, false);
+          assert.equal(
+            await airdrop.isPledgePayer(user3.address, user2.address),
+            false
+          );
+
+          // An unapproved payer can neither use up the cap nor restart the cooldown
+          await expect(
+            airdrop
+              .connect(user2)
+              .pledgeFor(user3.address, amount, 0, ethers.ZeroAddress)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__PayerNotApproved");
+          await airdrop
+            .connect(user1)
+            .pledgeFor(user3.address, amount, 0, ethers.ZeroAddress);
+
+          // Pledging for oneself, e.g. to name a referrer, needs no approval
+          await airdrop
+            .connect(user2)
+            .pledgeFor(user2.address, amount, 0, user5.address);
+          assert.equal(
+            await airdrop.getReferredAmount(1, user5.address),
+            amount
+          );
+
+          await expect(
+            airdrop.connect(user3).setPledgePayer(ethers.ZeroAddress, true)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAddress");
+        });
+
+        it("rejects invalid beneficiaries and referrers", async () => {
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeFor(ethers.ZeroAddress, amount, 0, ethers.ZeroAddress)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAddress");
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeFor(user3.address, amount, 0, user3.address)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAddress");
+
+          await airdrop.setBlacklistStatus(user1.address, true);
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeFor(user3.address, amount, 0, ethers.ZeroAddress)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAddress");
+          await airdrop.setBlacklistStatus(user1.address, false);
+
+          await airdrop.setVoucherSigner(owner.address);
+          await expect(
+            airdrop
+              .connect(user1)
+              .pledgeFor(user3.address, amount, 0, ethers.ZeroAddress)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__VoucherRequired");
+        });
+
+        it("tracks referred amounts net of withdrawals", async () => {
+          await airdrop
+            .connect(user1)
+            .pledgeFor(user3.address, amount, 0, user5.address);
+          await airdrop
+            .connect(user2)
+            .pledgeFor(
+              user4.address,
+              ethers.parseEther("500"),
+              0,
+              user5.address
+            );
+          assert.equal(
+            await airdrop.getReferredAmount(1, user5.address),
+            ethers.parseEther("1500")
+          );
+          const [deposit] = await airdrop.getDeposits(1, user3.address);
+          assert.equal(deposit.referrer, user5.address);
+
+          // A later unreferred deposit is withdrawn before the referred one
+          await time.increase(await airdrop.getCooldownPeriod());
+          await airdrop
+            .connect(user2)
+            .pledgeFor(
+              user3.address,
+              ethers.parseEther("200"),
+              0,
+              ethers.ZeroAddress
+            );
+          await airdrop.connect(user3).withdrawPledge(ethers.parseEther("300"));
+          assert.equal(
+            await airdrop.getReferredAmount(1, user5.address),
+            ethers.parseEther("1400")
+          );
+
+          await airdrop.connect(user4).withdrawPledge(ethers.parseEther("500"));
+          assert.equal(
+            await airdrop.getReferredAmount(1, user5.address),
+            ethers.parseEther("900")
+          );
+          await expect(
+            airdrop.getReferredAmount(2, user5.address)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidRound");
+        });
+
+        describe("referral credit of pledges leaving the ratio", function () {
+          beforeEach(async () => {
+            await airdrop
+              .connect(user1)
+              .pledgeFor(user3.address, amount, 0, user5.address);
+            await airdrop
+              .connect(user2)
+              .pledgeFor(user4.address, amount, 0, user5.address);
+          });
+
+          it("drops and restores credit as a pledge is excluded and reinstated", async () => {
+            await airdrop.setBlacklistStatus(user3.address, true);
+            assert.equal(
+              await airdrop.getReferredAmount(1, user5.address),
+              amount
+            );
+
+            await airdrop.setBlacklistStatus(user3.address, false);
+            assert.equal(
+              await airdrop.getReferredAmount(1, user5.address),
+              amount * 2n
+            );
+          });
+
+          it("drops credit when a pledge is held after finalization", async () => {
+            await passPledgeDeadline();
+            await airdrop.finalizePledgePhase();
+            await airdrop.setBlacklistStatus(user3.address, true);
+            assert.equal(
+              await airdrop.getReferredAmount(1, user5.address),
+              amount * 2n
+            );
+
+            await airdrop.processPledgeBatch(10);
+            assert.equal(
+              await airdrop.getReferredAmount(1, user5.address),
+              amount
+            );
+          });
+
+          it("does not drop the credit of an excluded pledge twice when held", async () => {
+            await airdrop.setBlacklistStatus(user3.address, true);
+            await passPledgeDeadline();
+            await airdrop.finalizePledgePhase();
+            await expect(airdrop.processPledgeBatch(10)).to.emit(
+              airdrop,
+              "PledgeHeld"
+            );
+            assert.equal(
+              await airdrop.getReferredAmount(1, user5.address),
+              amount
+            );
+          });
+
+          it("drops credit when a pledge is refunded in an emergency after finalization", async () => {
+            await passPledgeDeadline();
+            await airdrop.finalizePledgePhase();
+            await airdrop.activateEmergencyMode();
+
+            await airdrop.connect(user3).emergencyRefund();
+            assert.equal(
+              await airdrop.getReferredAmount(1, user5.address),
+              amount
+            );
+          });
+        });
+
+        describe("ReferralRewardPool", function () {
+          let pool;
+
+          beforeEach(async () => {
+            const Pool = await ethers.getContractFactory("ReferralRewardPool");
+            pool = await Pool.deploy(
+              await airdrop.getAddress(),
+              await tokenB.getAddress(),
+              REWARD_RATE
+            );
+            await airdrop
+              .connect(user1)
+              .pledgeFor(user3.address, amount, 0, user5.address);
+            await airdrop
+              .connect(user2)
+              .pledgeFor(user4.address, amount, 0, user5.address);
+          });
+
+          it("validates its configuration", async () => {
+            const Pool = await ethers.getContractFactory("ReferralRewardPool");
+            await expect(
+              Pool.deploy(
+                ethers.ZeroAddress,
+                await tokenB.getAddress(),
+                REWARD_RATE
+              )
+            ).to.be.revertedWithCustomError(
+              pool,
+              "ReferralRewardPool__InvalidAddress"
+            );
+            await expect(
+              Pool.deploy(
+                await airdrop.getAddress(),
+                await tokenB.getAddress(),
+                BASIS_POINTS + 1
+              )
+            ).to.be.revertedWithCustomError(
+              pool,
+              "ReferralRewardPool__InvalidAmount"
+            );
+            assert.equal(await pool.getAirdrop(), await airdrop.getAddress());
+            assert.equal(await pool.getTokenB(), await tokenB.getAddress());
+            assert.equal(await pool.getRewardRate(), REWARD_RATE);
+          });
+
+          it("pays referrers once the round is completed", async () => {
+            await tokenB.mint(
+              await pool.getAddress(),
+              ethers.parseEther("1000")
+            );
+            await expect(
+              pool.connect(user5).claim(1)
+            ).to.be.revertedWithCustomError(
+              pool,
+              "ReferralRewardPool__RoundNotCompleted"
+            );
+
+            // Batches may still take held pledges out of the credit
+            await passPledgeDeadline();
+            await airdrop.finalizePledgePhase();
+            await expect(
+              pool.connect(user5).claim(1)
+            ).to.be.revertedWithCustomError(
+              pool,
+              "ReferralRewardPool__RoundNotCompleted"
+            );
+            await airdrop.processPledgeBatch(10);
+
+            // 2000 TokenA referred converts to 1000 TokenB, of which 10% is paid
+            const reward = ethers.parseEther("100");
+            assert.equal(await pool.getReward(1, user5.address), reward);
+            await expect(pool.connect(user5).claim(1))
+              .to.emit(pool, "ReferralRewardClaimed")
+              .withArgs(1, user5.address, reward);
+            assert.equal(await tokenB.balanceOf(user5.address), reward);
+            assert.equal(await pool.getClaimed(1, user5.address), reward);
+
+            await expect(
+              pool.connect(user5).claim(1)
+            ).to.be.revertedWithCustomError(
+              pool,
+              "ReferralRewardPool__NothingToClaim"
+            );
+            await expect(
+              pool.connect(user6).claim(1)
+            ).to.be.revertedWithCustomError(
+              pool,
+              "ReferralRewardPool__NothingToClaim"
+            );
+
+            // Pledgers are paid from the Airdrop, untouched by the pool
+            assert.equal(
+              await tokenB.balanceOf(user3.address),
+              await airdrop.calculateScaledTokenBAmount(amount)
+            );
+          });
+
+          it("pays what it can and the rest after a top-up", async () => {
+            await passPledgeDeadline();
+            await airdrop.finalizePledgePhase();
+            await airdrop.processPledgeBatch(10);
+
+            await tokenB.mint(await pool.getAddress(), ethers.parseEther("30"));
+            await pool.connect(user5).claim(1);
+            assert.equal(
+              await pool.getClaimableReward(1, user5.address),
+              ethers.parseEther("70")
+            );
+
+            await tokenB.mint(
+              await pool.getAddress(),
+              ethers.parseEther("500")
+            );
+            await pool.connect(user5).claim(1);
+            assert.equal(
+              await tokenB.balanceOf(user5.address),
+              ethers.parseEther("100")
+            );
+            assert.equal(await pool.getClaimableReward(1, user5.address), 0n);
+          });
+
+          it("does not reward pledges that left the ratio", async () => {
+            await tokenB.mint(
+              await pool.getAddress(),
+              ethers.parseEther("1000")
+            );
+            await airdrop.setBlacklistStatus(user3.address, true);
+            await passPledgeDeadline();
+            await airdrop.finalizePledgePhase();
+            await airdrop.processPledgeBatch(10);
+
+            // Only user4's 1000 TokenA counts: 500 TokenB, of which 10% is paid
+            const reward = ethers.parseEther("50");
+            assert.equal(await pool.getReward(1, user5.address), reward);
+            await pool.connect(user5).claim(1);
+            assert.equal(await tokenB.balanceOf(user5.address), reward);
+          });
+
+          it("blocks blacklisted referrers and lets the owner withdraw", async () => {
+            await tokenB.mint(
+              await pool.getAddress(),
+              ethers.parseEther("500")
+            );
+            await passPledgeDeadline();
+            await airdrop.finalizePledgePhase();
+            await airdrop.processPledgeBatch(10);
+
+            await airdrop.setBlacklistStatus(user5.address, true);
+            await expect(
+              pool.connect(user5).claim(1)
+            ).to.be.revertedWithCustomError(
+              pool,
+              "ReferralRewardPool__InvalidAddress"
+            );
+
+            await expect(
+              pool.connect(user1).withdraw(user1.address, 1n)
+            ).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+            await expect(pool.withdraw(owner.address, ethers.parseEther("500")))
+              .to.emit(pool, "PoolWithdrawn")
+              .withArgs(owner.address, ethers.parseEther("500"));
+            assert.equal(await tokenB.balanceOf(await pool.getAddress()), 0n);
+          });
+        });
+      });
+      describe("Airdrop Factory Tests", function () {
+        let factory, tokenC;
+        const Phase = { PLEDGE: 0, DISTRIBUTION: 1, COMPLETED: 2 };
+
+        const campaignParams = (overrides = {}) => ({
+          tokenA: tokenA.target,
+          tokenB: tokenB.target,
+          conversionRatio: CONVERSION_RATIO,
+          tokenBMaxCap: TOKEN_B_MAX_CAP,
+          minPledgeAmount: MIN_PLEDGE_AMOUNT,
+          pledgeDuration: PLEDGE_DURATION,
+          ...overrides,
+        });
+
+        // Deploys through the factory and returns the new campaign
+        const createCampaign = async (signer, params, admin, fund = false) => {
+          const tx = await factory
+            .connect(signer)
+            .createCampaign(params, admin, fund);
+          const receipt = await tx.wait();
+          const [created] = receipt.logs
+            .map((log) => factory.interface.parseLog(log))
+            .filter((parsed) => parsed && parsed.name === "CampaignCreated");
+          return ethers.getContractAt("Airdrop", created.args.campaign);
+        };
+
+        beforeEach(async () => {
+          const Airdrop = await ethers.getContractFactory("Airdrop", {
+            libraries,
+          });
+          const AirdropFactory = await ethers.getContractFactory(
+            "AirdropFactory"
+          );
+          factory = await AirdropFactory.deploy(Airdrop.bytecode);
+
+          const TokenMock = await ethers.getContractFactory("ERC20Mock");
+          tokenC = await TokenMock.deploy("Token C", "TKC", 6);
+        });
+
+        it("stores the Airdrop creation code it deploys from", async () => {
+          const Airdrop = await ethers.getContractFactory("Airdrop", {
+            libraries,
+          });
+          assert.equal(
+            await factory.getAirdropCodeHash(),
+            ethers.keccak256(Airdrop.bytecode)
+          );
+
+          const AirdropFactory = await ethers.getContractFactory(
+            "AirdropFactory"
+          );
+          await expect(
+            AirdropFactory.deploy("0x")
+          ).to.be.revertedWithCustomError(
+            factory,
+            "AirdropFactory__InvalidCode"
+          );
+        });
+
+        it("deploys a campaign owned by the chosen admin", async () => {
+          const campaign = await createCampaign(
+            user1,
+            campaignParams(),
+            user3.address
+          );
+
+          assert.equal(await campaign.getCurrentPhase(), Phase.PLEDGE);
+          assert.equal(await campaign.getConversionRatio(), CONVERSION_RATIO);
+          assert.equal(await campaign.getTokenBMaxCap(), TOKEN_B_MAX_CAP);
+          assert.equal(
+            await campaign["getMinPledgeAmount()"](),
+            MIN_PLEDGE_AMOUNT
+          );
+
+          const roles = [
+            await campaign.DEFAULT_ADMIN_ROLE(),
+            await campaign.OPERATOR_ROLE(),
+            await campaign.COMPLIANCE_ROLE(),
+            await campaign.CONFIG_ADMIN_ROLE(),
+            await campaign.GUARDIAN_ROLE(),
+            await campaign.KEEPER_ROLE(),
+          ];
+          for (const role of roles) {
+            assert.isTrue(await campaign.hasRole(role, user3.address));
+            assert.isFalse(await campaign.hasRole(role, factory.target));
+            assert.isFalse(await campaign.hasRole(role, user1.address));
+          }
+
+          const [destination, recipient] =
+            await campaign.getResidualDestination();
+          assert.equal(destination, 0n); // PROJECT
+          assert.equal(recipient, user3.address);
+
+          // Nothing is funded unless asked for
+          assert.equal(await tokenB.balanceOf(campaign.target), 0n);
+        });
+
+        it("pulls the TokenB cap into the campaign when asked", async () => {
+          await tokenB.mint(user1.address, TOKEN_B_MAX_CAP);
+          await tokenB.connect(user1).approve(factory.target, TOKEN_B_MAX_CAP);
+
+          const tx = factory
+            .connect(user1)
+            .createCampaign(campaignParams(), user3.address, true);
+          await expect(tx)
+            .to.emit(factory, "CampaignCreated")
+            .withArgs(
+              anyValue,
+              user1.address,
+              user3.address,
+              tokenA.target,
+              tokenB.target,
+              TOKEN_B_MAX_CAP
+            );
+
+          const [{ campaign }] = await factory.getCampaigns(0, 1);
+          assert.equal(await tokenB.balanceOf(campaign), TOKEN_B_MAX_CAP);
+          assert.equal(await tokenB.balanceOf(user1.address), 0n);
+
+          // Without an allowance the whole deployment reverts
+          await expect(
+            factory
+              .connect(user2)
+              .createCampaign(campaignParams(), user3.address, true)
+          ).to.be.reverted;
+          assert.equal(await factory.getCampaignCount(), 1n);
+        });
+
+        it("validates parameters like the Airdrop constructor", async () => {
+          const cases = [
+            [{ tokenA: ethers.ZeroAddress }, "Airdrop__InvalidAddress"],
+            [{ tokenB: ethers.ZeroAddress }, "Airdrop__InvalidAddress"],
+            [{ conversionRatio: 0 }, "Airdrop__InvalidAmount"],
+            [
+              { conversionRatio: ethers.parseEther("1") + 1n },
+              "Airdrop__InvalidAmount",
+            ],
+            [{ minPledgeAmount: 0 }, "Airdrop__InvalidAmount"],
+            [{ pledgeDuration: 0 }, "Airdrop__InvalidTimestamp"],
+          ];
+          for (const [overrides, error] of cases) {
+            await expect(
+              factory.createCampaign(
+                campaignParams(overrides),
+                user3.address,
+                false
+              )
+            ).to.be.revertedWithCustomError(airdrop, error);
+          }
+
+          await expect(
+            factory.createCampaign(campaignParams(), ethers.ZeroAddress, false)
+          ).to.be.revertedWithCustomError(airdrop, "Airdrop__InvalidAddress");
+
+          // A constructor revert is bubbled up from the deployment
+          await expect(
+            factory.createCampaign(
+              campaignParams({ tokenA: user4.address }),
+              user3.address,
+              false
+            )
+          ).to.be.reverted;
+          assert.equal(await factory.getCampaignCount(), 0n);
+        });
+
+        it("lists campaigns by creator and token pair with their phase", async () => {
+          const first = await createCampaign(
+            user1,
+            campaignParams(),
+            user3.address
+          );
+          const second = await createCampaign(
+            user2,
+            campaignParams({ tokenB: tokenC.target }),
+            user4.address
+          );
+          const third = await createCampaign(
+            user1,
+            campaignParams({ tokenB: tokenC.target }),
+            user3.address
+          );
+          const reversed = await createCampaign(
+            user2,
+            campaignParams({ tokenA: tokenB.target, tokenB: tokenA.target }),
+            user4.address
+          );
+
+          assert.equal(await factory.getCampaignCount(), 4n);
+          const all = await factory.getCampaigns(0, 10);
+          assert.deepEqual(
+            all.map((info) => info.campaign),
+            [first.target, second.target, third.target, reversed.target]
+          );
+          assert.equal((await factory.getCampaigns(1, 2)).length, 2);
+          assert.equal((await factory.getCampaigns(4, 2)).length, 0);
+
+          const byCreator = await factory.getCampaignsByCreator(
+            user1.address,
+            0,
+            10
+          );
+          assert.equal(
+            await factory.getCampaignCountByCreator(user1.address),
+            2n
+          );
+          assert.deepEqual(
+            byCreator.map((info) => info.campaign),
+            [first.target, third.target]
+          );
+          assert.equal(byCreator[1].creator, user1.address);
+          assert.equal(byCreator[1].admin, user3.address);
+          assert.equal(byCreator[1].tokenA, tokenA.target);
+          assert.equal(byCreator[1].tokenB, tokenC.target);
+
+          const byPair = await factory.getCampaignsByTokenPair(
+            tokenA.target,
+            tokenC.target,
+            0,
+            10
+          );
+          assert.equal(
+            await factory.getCampaignCountByTokenPair(
+              tokenA.target,
+              tokenC.target
+            ),
+            2n
+          );
+          assert.deepEqual(
+            byPair.map((info) => info.campaign),
+            [second.target, third.target]
+          );
+          // The pair is ordered: TokenB for TokenA is a separate listing
+          const reversedPair = await factory.getCampaignsByTokenPair(
+            tokenB.target,
+            tokenA.target,
+            0,
+            10
+          );
+          assert.deepEqual(
+            reversedPair.map((info) => info.campaign),
+            [reversed.target]
+          );
+
+          // Phase and round are read live from each campaign
+          await tokenA
+            .connect(user1)
+            .approve(second.target, ethers.parseEther("1000"));
+          await second.connect(user1).pledgeTokens(MIN_PLEDGE_AMOUNT, 0);
+          await time.increase(PLEDGE_DURATION + 1);
+          await second.connect(user4).finalizePledgePhase();
+
+          const info = await factory.getCampaign(second.target);
+          assert.equal(info.phase, Phase.DISTRIBUTION);
+          assert.equal(info.currentRound, 1n);
+          assert.equal((await factory.getCampaign(first.target)).phase, 0n);
+
+          assert.isTrue(await factory.isCampaign(first.target));
+          assert.isFalse(await factory.isCampaign(airdrop.target));
+          await expect(
+            factory.getCampaign(airdrop.target)
+          ).to.be.revertedWithCustomError(
+            factory,
+            "AirdropFactory__UnknownCampaign"
+          );
+        });
+
+        it("runs a factory-deployed campaign end to end", async () => {
+          await tokenB.mint(user5.address, TOKEN_B_MAX_CAP);
+          await tokenB.connect(user5).approve(factory.target, TOKEN_B_MAX_CAP);
+          const campaign = await createCampaign(
+            user5,
+            campaignParams(),
+            user3.address,
+            true
+          );
+
+          const pledge1 = ethers.parseEther("1000");
+          const pledge2 = ethers.parseEther("3000");
+          await tokenA.connect(user1).approve(campaign.target, pledge1);
+          await tokenA.connect(user2).approve(campaign.target, pledge2);
+          await campaign.connect(user1).pledgeTokens(pledge1, 0);
+          await campaign.connect(user2).pledgeTokens(pledge2, 0);
+
+          // Only the admin can operate it, not the creator or deployer
+          await time.increase(PLEDGE_DURATION + 1);
+          await expect(
+            campaign.connect(user5).finalizePledgePhase()
+          ).to.be.revertedWithCustomError(
+            campaign,
+            "AccessControlUnauthorizedAccount"
+          );
+          await expect(
+            campaign.finalizePledgePhase()
+          ).to.be.revertedWithCustomError(
+            campaign,
+            "AccessControlUnauthorizedAccount"
+          );
+          await campaign.connect(user3).finalizePledgePhase();
+          await campaign.connect(user3).processPledgeBatch(10);
+
+          assert.equal(
+            (await factory.getCampaign(campaign.target)).phase,
+            Phase.COMPLETED
+          );
+          assert.equal(
+            await tokenB.balanceOf(user1.address),
+            await campaign.calculateScaledTokenBAmount(pledge1)
+          );
+          assert.equal(
+            await tokenB.balanceOf(user2.address),
+            await campaign.calculateScaledTokenBAmount(pledge2)
+          );
+          // The pledged TokenA stays in escrow with the campaign
+          assert.equal(
+            await tokenA.balanceOf(campaign.target),
+            pledge1 + pledge2
+          );
+        });
+      });
     });
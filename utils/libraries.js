@@ -0,0 +1,22 @@
+const AIRDROP_LIBRARIES = ["PledgeBook", "VoucherVerifier"];
+
+/**
+ * @dev Deploys the libraries Airdrop is linked against. One set serves any
+ * number of Airdrops, so deploy it once per network.
+ * @param ethers The hardhat-ethers object, e.g. hre.ethers
+ * @returns Library addresses by name, as getContractFactory's `libraries`
+ */
+async function deployAirdropLibraries(ethers) {
+  const libraries = {};
+  for (const name of AIRDROP_LIBRARIES) {
+    const library = await ethers.deployContract(name);
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+module.exports = {
+  AIRDROP_LIBRARIES,
+  deployAirdropLibraries,
+};
@@ -0,0 +1,143 @@
+const { ethers } = require("ethers");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * @dev Leaf encoding matching Airdrop.claim:
+ * keccak256(bytes.concat(keccak256(abi.encode(user, tokenBAmount, tokenAToReturn))))
+ */
+function hashLeaf({ user, tokenBAmount, tokenAToReturn }) {
+  return ethers.keccak256(
+    ethers.keccak256(
+      abiCoder.encode(
+        ["address", "uint256", "uint256"],
+        [user, tokenBAmount, tokenAToReturn]
+      )
+    )
+  );
+}
+
+// OpenZeppelin's MerkleProof hashes each pair in sorted order
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * @dev Builds a Merkle tree over the given allocations.
+ * @returns root, per-user proofs and the allocations keyed by address
+ */
+function buildMerkleTree(allocations) {
+  if (allocations.length === 0) {
+    throw new Error("Cannot build a Merkle tree without allocations");
+  }
+
+  const layers = [allocations.map(hashLeaf)];
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      // An unpaired node is carried up to the next layer unchanged
+      next.push(
+        i + 1 < current.length
+          ? hashPair(current[i], current[i + 1])
+          : current[i]
+      );
+    }
+    layers.push(next);
+  }
+
+  const getProof = (index) => {
+    const proof = [];
+    for (let level = 0; level < layers.length - 1; level++) {
+      const sibling = index ^ 1;
+      if (sibling < layers[level].length) {
+        proof.push(layers[level][sibling]);
+      }
+      index >>= 1;
+    }
+    return proof;
+  };
+
+  const claims = {};
+  allocations.forEach((allocation, index) => {
+    claims[ethers.getAddress(allocation.user)] = {
+      tokenBAmount: allocation.tokenBAmount,
+      tokenAToReturn: allocation.tokenAToReturn,
+      proof: getProof(index),
+    };
+  });
+
+  return { root: layers[layers.length - 1][0], claims };
+}
+
+function verifyProof(proof, root, allocation) {
+  let computed = hashLeaf(allocation);
+  for (const node of proof) {
+    computed = hashPair(computed, node);
+  }
+  return computed === root;
+}
+
+/**
+ * @dev Rebuilds the final allocations from PledgeSubmitted events, net of
+ * any PledgeWithdrawn and EmergencyRefund events.
+ * Amounts come from the contract's own projection view so that the
+ * committed leaves match what processPledgeBatch would pay out.
+ * Only the current round can be claimed, so events from earlier rounds
+ * are ignored. Pledges excluded by a blacklisting are left out as they can
+ * never be claimed. Must be called after finalizePledgePhase has fixed the
+ * scaling ratio.
+ */
+async function buildAllocationsFromEvents(airdrop, fromBlock = 0) {
+  const roundId = await airdrop.getCurrentRound();
+  const events = await airdrop.queryFilter(
+    airdrop.filters.PledgeSubmitted(roundId),
+    fromBlock
+  );
+  // An emergency refund pays out the whole pledge, like a full withdrawal
+  const withdrawals = [
+    ...(await airdrop.queryFilter(
+      airdrop.filters.PledgeWithdrawn(roundId),
+      fromBlock
+    )),
+    ...(await airdrop.queryFilter(
+      airdrop.filters.EmergencyRefund(roundId),
+      fromBlock
+    )),
+  ];
+
+  const pledged = new Map();
+  for (const event of events) {
+    const user = ethers.getAddress(event.args.user);
+    pledged.set(user, (pledged.get(user) || 0n) + event.args.tokenAAmount);
+  }
+  for (const event of withdrawals) {
+    const user = ethers.getAddress(event.args.user);
+    pledged.set(user, pledged.get(user) - event.args.tokenAAmount);
+  }
+
+  const allocations = [];
+  for (const [user, tokenAAmount] of pledged) {
+    if (tokenAAmount === 0n) continue;
+    const { excluded } = await airdrop["getPledgeRecord(uint256,address)"](
+      roundId,
+      user
+    );
+    if (excluded) continue;
+    // Includes any early-bird bonus, which the raw amount alone can't tell
+    const [tokenBAmount, tokenAToReturn] = await airdrop.getProjectedAllocation(
+      user
+    );
+    allocations.push({ user, tokenAAmount, tokenBAmount, tokenAToReturn });
+  }
+  return allocations;
+}
+
+module.exports = {
+  hashLeaf,
+  buildMerkleTree,
+  verifyProof,
+  buildAllocationsFromEvents,
+};
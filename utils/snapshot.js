@@ -0,0 +1,56 @@
+const { ethers } = require("ethers");
+
+const SNAPSHOT_COLUMNS = [
+  "address",
+  "tokenAPledged",
+  "projectedTokenB",
+  "refund",
+  "processed",
+];
+
+/**
+ * @dev Pages through Airdrop.getPledgers for a round and flattens each entry
+ * into a snapshot row. Amounts are kept as base-unit strings so that no
+ * precision is lost in JSON or spreadsheets.
+ * @param airdrop Airdrop contract instance
+ * @param roundId Round to export, defaults to the current one
+ * @param pageSize Pledgers fetched per call
+ */
+async function fetchPledgerSnapshot(airdrop, roundId, pageSize = 100) {
+  const round =
+    roundId !== undefined ? BigInt(roundId) : await airdrop.getCurrentRound();
+  const count = await airdrop["getPledgersCount(uint256)"](round);
+
+  const rows = [];
+  for (let offset = 0n; offset < count; offset += BigInt(pageSize)) {
+    const page = await airdrop["getPledgers(uint256,uint256,uint256)"](
+      round,
+      offset,
+      pageSize
+    );
+    for (const info of page) {
+      rows.push({
+        address: ethers.getAddress(info.pledger),
+        tokenAPledged: info.tokenAAmount.toString(),
+        projectedTokenB: info.projectedTokenB.toString(),
+        refund: info.projectedRefund.toString(),
+        processed: info.processed,
+      });
+    }
+  }
+  return { roundId: round.toString(), rows };
+}
+
+function toCsv(rows) {
+  const lines = [SNAPSHOT_COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(SNAPSHOT_COLUMNS.map((column) => String(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  SNAPSHOT_COLUMNS,
+  fetchPledgerSnapshot,
+  toCsv,
+};
@@ -0,0 +1,56 @@
+const { ethers } = require("ethers");
+
+const VOUCHER_TYPES = {
+  PledgeVoucher: [
+    { name: "user", type: "address" },
+    { name: "maxPledge", type: "uint256" },
+    { name: "tier", type: "uint8" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+/**
+ * @dev Reads the EIP-712 domain straight from the deployed Airdrop, so the
+ * signature always matches its name, version, chain id and address.
+ */
+async function getVoucherDomain(airdrop) {
+  const { name, version, chainId, verifyingContract } =
+    await airdrop.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * @dev Signs a pledge voucher with an ethers signer holding the voucher key.
+ * @param signer Signer whose address is set via setVoucherSigner
+ * @param airdrop Airdrop contract instance (or a prebuilt domain object)
+ * @param voucher { user, maxPledge, tier, expiry }
+ * @returns The voucher as passed to pledgeTokensWithVoucher and its signature
+ */
+async function signVoucher(signer, airdrop, voucher) {
+  const domain =
+    typeof airdrop.eip712Domain === "function"
+      ? await getVoucherDomain(airdrop)
+      : airdrop;
+  const value = {
+    user: ethers.getAddress(voucher.user),
+    maxPledge: BigInt(voucher.maxPledge),
+    tier: Number(voucher.tier),
+    expiry: BigInt(voucher.expiry),
+  };
+  const signature = await signer.signTypedData(domain, VOUCHER_TYPES, value);
+  return { voucher: value, signature };
+}
+
+/**
+ * @dev Recovers the address that signed a voucher, for backend sanity checks
+ */
+function recoverVoucherSigner(domain, voucher, signature) {
+  return ethers.verifyTypedData(domain, VOUCHER_TYPES, voucher, signature);
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  getVoucherDomain,
+  signVoucher,
+  recoverVoucherSigner,
+};